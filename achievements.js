@@ -0,0 +1,190 @@
+// Flappy Rocket — Nebula Edition
+// Achievements: data-defined goals measured from game events, with progress
+// and unlocks kept in the player profile
+
+// Each definition lists the events that can move it and a progress function
+// reading the current run and lifetime counters; it unlocks at `goal`
+const ACHIEVEMENTS = [
+    {
+        id: 'first-flight',
+        icon: '🚀',
+        title: 'Liftoff',
+        description: 'Finish your first run',
+        goal: 1,
+        events: ['runEnd'],
+        progress: (run, lifetime) => lifetime.runs
+    },
+    {
+        id: 'asteroid-dodger',
+        icon: '☄️',
+        title: 'Asteroid Dodger',
+        description: 'Pass 50 asteroids in one run',
+        goal: 50,
+        events: ['pass'],
+        progress: (run) => run.passes
+    },
+    {
+        id: 'light-touch',
+        icon: '🪶',
+        title: 'Light Touch',
+        description: 'Survive the easy phase without thrusting more than 20 times',
+        goal: 1,
+        events: ['level'],
+        progress: (run) => (run.level >= 1 && run.thrusts <= 20 ? 1 : 0)
+    },
+    {
+        id: 'collector',
+        icon: '🎨',
+        title: 'Collector',
+        description: 'Fly four different skins',
+        goal: 4,
+        events: ['runStart'],
+        progress: (run, lifetime) => lifetime.skins.length
+    },
+    {
+        id: 'close-shave',
+        icon: '😅',
+        title: 'Close Shave',
+        description: 'Scrape through 5 near misses in one run',
+        goal: 5,
+        events: ['nearMiss'],
+        progress: (run) => run.nearMisses
+    },
+    {
+        id: 'deep-nebula',
+        icon: '🌌',
+        title: 'Deep Nebula',
+        description: 'Reach difficulty level 5',
+        goal: 5,
+        events: ['level'],
+        progress: (run) => run.level
+    },
+    {
+        id: 'centurion',
+        icon: '💯',
+        title: 'Centurion',
+        description: 'Score 100 in one run',
+        goal: 100,
+        events: ['score'],
+        progress: (run) => run.score
+    },
+    {
+        id: 'frequent-flyer',
+        icon: '🛰️',
+        title: 'Frequent Flyer',
+        description: 'Finish 100 runs',
+        goal: 100,
+        events: ['runEnd'],
+        progress: (run, lifetime) => lifetime.runs
+    }
+];
+
+class AchievementTracker {
+    constructor(profile, options = {}) {
+        this.profile = profile;
+        this.definitions = options.definitions || ACHIEVEMENTS;
+        this.onUnlock = options.onUnlock || (() => {});
+        this.run = null;
+        this.dirty = false;
+    }
+
+    get state() {
+        return this.profile.get('achievements');
+    }
+
+    startRun(meta = {}) {
+        this.run = { skin: meta.skin, mode: meta.mode, thrusts: 0, passes: 0, nearMisses: 0, level: 0, score: 0 };
+        
+        const lifetime = this.state.lifetime;
+        if (meta.skin && !lifetime.skins.includes(meta.skin)) {
+            lifetime.skins.push(meta.skin);
+            this.dirty = true;
+        }
+        this.handle('runStart', meta);
+    }
+
+    endRun() {
+        if (!this.run) return;
+        
+        this.handle('runEnd', { score: this.run.score });
+        this.run = null;
+        this.flush();
+    }
+
+    // Stops counting the current run without ending it, e.g. once debug tools touch it
+    cancelRun() {
+        this.run = null;
+        this.flush();
+    }
+
+    // Updates the counters for one game event, then re-measures the
+    // achievements that listen for it
+    handle(type, data = {}) {
+        const run = this.run;
+        if (!run) return;
+        
+        const lifetime = this.state.lifetime;
+        switch (type) {
+            case 'thrust':
+                run.thrusts++;
+                lifetime.thrusts++;
+                break;
+            case 'pass':
+                run.passes++;
+                lifetime.passes++;
+                break;
+            case 'nearMiss':
+                run.nearMisses++;
+                lifetime.nearMisses++;
+                break;
+            case 'level':
+                run.level = data.level;
+                break;
+            case 'score':
+                run.score = data.score;
+                break;
+            case 'runEnd':
+                lifetime.runs++;
+                break;
+        }
+        
+        const state = this.state;
+        for (let definition of this.definitions) {
+            if (state.unlocked[definition.id] || !definition.events.includes(type)) continue;
+            
+            const progress = Math.min(definition.goal, definition.progress(run, lifetime));
+            if (progress > (state.progress[definition.id] || 0)) {
+                state.progress[definition.id] = progress;
+                this.dirty = true;
+            }
+            
+            if (progress >= definition.goal) {
+                state.unlocked[definition.id] = new Date().toISOString();
+                this.dirty = true;
+                this.flush();
+                this.onUnlock(definition);
+            }
+        }
+    }
+
+    // Counters move on every thrust, so they are written at run end and on unlocks
+    flush() {
+        if (!this.dirty) return;
+        
+        this.profile.set('achievements', this.state);
+        this.dirty = false;
+    }
+
+    list() {
+        const state = this.state;
+        return this.definitions.map(definition => ({
+            id: definition.id,
+            icon: definition.icon,
+            title: definition.title,
+            description: definition.description,
+            goal: definition.goal,
+            progress: state.progress[definition.id] || 0,
+            unlockedAt: state.unlocked[definition.id] || null
+        }));
+    }
+}
@@ -1,66 +1,135 @@
 // Flappy Rocket — Nebula Edition
 // Production-ready PWA game implementation
+// Browser shell: canvas rendering, DOM overlays, audio and input around the
+// headless GameEngine from engine.js
+
+// The playfield is always this many units tall; its width follows the screen's
+// aspect within these bounds, and anything beyond is letterboxed
+const PLAYFIELD = { height: 600, minAspect: 0.5, maxAspect: 2.4 };
 
 class FlappyRocket {
     constructor() {
         this.canvas = document.getElementById('gameCanvas');
         this.ctx = this.canvas.getContext('2d');
         this.devicePixelRatio = window.devicePixelRatio || 1;
+        this.pixelRatio = this.devicePixelRatio; // device pixels per playfield unit
+        this.viewport = { scale: 1, offsetX: 0, offsetY: 0 };
+        this.portraitQuery = window.matchMedia('(orientation: portrait)');
         
         // Game state
-        this.gameState = 'splash'; // splash, menu, tutorial, playing, gameOver
-        this.score = 0;
-        this.bestScore = parseInt(localStorage.getItem('flappyRocketBest') || '0');
-        this.selectedSkin = localStorage.getItem('flappyRocketSkin') || 'red';
-        this.isMuted = localStorage.getItem('flappyRocketMuted') === 'true';
-        
-        // Game config from provided data
-        this.config = {
-            baseSpeed: 2.0,
-            baseGap: 0.22,
-            difficultyIncrease: 0.08,
-            easyDuration: 30000,
-            difficultyInterval: 10000,
-            bannerFrequency: 0.1,
-            maxParticles: 200,
-            tutorialDuration: 5000
-        };
+        this.gameState = 'splash'; // splash, menu, tutorial, playing, paused, gameOver, replay, courses, editor, courseComplete
+        this.runMode = 'endless'; // endless, daily, course, versus
+        
+        // Preferences and progress, with an in-memory fallback when storage is blocked
+        this.profile = new ProfileStore();
+        
+        // Rocket skins and their unlocks
+        this.skins = new SkinRegistry(this.profile);
+        this.selectedSkin = this.skins.resolve(this.profile.getSetting('skin'));
+        this.versusSkin = this.skins.resolve(this.profile.getSetting('versusSkin')); // player two's rocket
+        this.playerSkins = [this.selectedSkin]; // by player, fixed for the run
+        this.unlockedSkinsAtStart = [];
+        this.isMuted = this.profile.getSetting('muted');
+        
+        // Simulation core; shell-only settings share its config object
+        this.engine = new GameEngine({
+            config: {
+                maxParticles: 200,
+                tutorialDuration: 5000,
+                maxFrameTime: 250
+            },
+            clock: Date,
+            bestScore: this.profile.get('bestScore'),
+            audio: { play: (type) => this.playSound(type) }
+        });
+        this.config = this.engine.config;
+        
+        // Developer tools; URL presets are applied straight away and at every run start
+        this.debug = new DebugOverlay({
+            config: this.config,
+            search: location.search,
+            onChange: (key) => this.handleDebugChange(key),
+            onReset: () => {
+                Object.assign(this.config, this.difficulty.configFor(this.runDifficulty, this.runAdaptive));
+                this.handleDebugChange(null);
+            },
+            onStep: () => this.stepFrame()
+        });
+        this.debug.apply(this.config);
+        this.debugRun = false;
+        this.runTuned = false;
+        
+        // Run recording and replay playback
+        this.recorder = new RunRecorder(this.engine);
+        this.lastRun = null;
+        this.replay = null;
+        this.replayPaused = false;
+        this.replaySpeed = 1;
+        
+        // Course being flown, and where to return after it ('courses' or 'editor')
+        this.course = null;
+        this.courseOrigin = 'courses';
+        this.courseList = [];
+        this.courseHudText = '';
+        
+        // Local leaderboard and run history; the id and board of the run awaiting initials
+        this.records = new RunRecords(this.profile);
+        this.recordEntryId = null;
+        this.recordBoard = null;
+        
+        // Achievements fed from live engine events
+        this.achievements = new AchievementTracker(this.profile, {
+            onUnlock: (achievement) => this.showToast(achievement)
+        });
         
-        // Game objects
-        this.spaceship = {
-            x: 0,
-            y: 0,
-            vx: 0,
-            vy: 0,
-            rotation: 0,
-            targetRotation: 0,
-            thrusting: false,
-            thrustTime: 0
-        };
+        // Difficulty preset and adaptive tuning, applied to the config at run start
+        this.difficulty = new DifficultyTuner(this.profile);
+        this.difficultyPreset = this.profile.getSetting('difficulty');
+        this.adaptiveDifficulty = this.profile.getSetting('adaptiveDifficulty');
+        this.runDifficulty = 'normal';
+        this.runAdaptive = false;
         
-        this.obstacles = [];
-        this.banners = [];
-        this.particles = [];
+        // Ghost of the personal best run, raced on the same seed
+        this.ghostMode = this.profile.getSetting('ghostMode');
+        this.ghost = null;
+        this.beatBestThisRun = false;
+        
+        // Visual-only objects: exhaust, sparkles, debris and dust from PARTICLE_EMITTERS
+        this.particles = new ParticleSystem({ maxParticles: this.config.maxParticles });
         this.stars = [];
         
+        // Pre-rendered art: the sky gradient, banner cards and rock columns
+        this.backgroundCanvas = null;
+        this.bannerSprites = new Map();
+        this.obstacleSprites = new WeakMap(); // per engine, keyed by obstacle serial
+        this.columnCanvasPool = [];
+        
+        // Effects quality, stepped down automatically when frames run long
+        this.quality = QUALITY_LEVELS.high;
+        this.frameMonitor = new FrameMonitor({ onChange: (level) => this.applyQuality(level) });
+        this.frameMonitor.setMode(this.profile.getSetting('quality'));
+        
         // Game timing
-        this.startTime = 0;
         this.lastTime = 0;
+        this.accumulator = 0;
+        this.renderAlpha = 1;
         this.gameRunning = false;
         this.tutorialCountdown = 5;
         this.tutorialStartTime = 0;
         this.animationFrameId = null;
+        this.autoPaused = false;
+        this.resumeTimer = null;
+        this.gameOverTimer = null; // crash delay before the Game Over overlay
         
-        // Current difficulty
-        this.currentSpeed = this.config.baseSpeed;
-        this.currentGap = this.config.baseGap;
-        
-        // Input handling
+        // Input handling, applied on the next simulation tick
         this.inputEnabled = false;
-        this.userGestureReceived = false;
+        this.pendingThrusts = [false]; // by player
+        this.controlScheme = this.profile.getSetting('controlScheme'); // tap, hold
         
         // Colors from provided data
-        this.colors = {
+        this.baseColors = {
+            background: '#1f2121',
+            backgroundEnd: '#2d1b69',
             nebulaPrimary: '#9d7bd8',
             nebulaSecondary: '#b794f6',
             starfield: '#ffffff',
@@ -70,8 +139,62 @@ class FlappyRocket {
             spaceship: '#e2e8f0'
         };
         
+        // High-contrast palette: near-black space, bright solid rocks
+        this.highContrastColors = {
+            background: '#000000',
+            backgroundEnd: '#000000',
+            nebulaPrimary: '#000000',
+            nebulaSecondary: '#101010',
+            asteroid: '#f5f5f5',
+            asteroidGlow: '#ffd400'
+        };
+        this.colors = this.baseColors;
+        
+        // Accessibility settings; see applyAccessibility()
+        this.reducedMotion = false;
+        this.assistSpeed = 1;
+        this.announceTimer = null;
+        
+        // Power-up pickups: canvas colour and HUD/pickup icon
+        this.powerUpStyles = {
+            shield: { color: '#4ecdc4', icon: '🛡️' },
+            slowMo: { color: '#9ad1ff', icon: '⏳' },
+            magnet: { color: '#ff6b6b', icon: '🧲' },
+            multiplier: { color: '#ffd93d', icon: '×2' }
+        };
+        this.powerUpHudText = '';
+        
+        // Course editor on the game canvas; the draft is saved on every change
+        this.editor = new CourseEditor({
+            canvas: this.canvas,
+            toPlayfield: (clientX, clientY) => this.toPlayfield(clientX, clientY),
+            pickupIcons: Object.fromEntries(Object.entries(this.powerUpStyles).map(([type, style]) => [type, style.icon])),
+            onChange: (course) => {
+                this.profile.set('courses', Object.assign({}, this.profile.get('courses'), { draft: course }));
+            },
+            onTestFly: (course) => {
+                this.editor.close();
+                this.playCourse(normalizeCourse(course), 'editor');
+            },
+            onExport: (course) => {
+                const slug = course.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course';
+                this.downloadJson(`${slug}.json`, normalizeCourse(course));
+            },
+            onExit: () => this.showCourses()
+        });
+        
+        // Service worker update waiting for the player's go-ahead
+        this.waitingWorker = null;
+        this.updateAccepted = false;
+        
+        // Sponsor banners shown on the engine's decorative banner slots
+        this.campaigns = new BannerCampaigns(this.profile);
+        this.campaigns.load('campaigns.json').then(() => this.updateBannerStatsButton());
+        
         // Initialize
+        this.applyAccessibility();
         this.setupCanvas();
+        this.setupEngineEvents();
         this.setupAudio();
         this.setupEventListeners();
         this.registerServiceWorker();
@@ -85,90 +208,247 @@ class FlappyRocket {
     setupCanvas() {
         const resizeCanvas = () => {
             const rect = this.canvas.getBoundingClientRect();
-            this.canvas.width = rect.width * this.devicePixelRatio;
-            this.canvas.height = rect.height * this.devicePixelRatio;
-            this.ctx.scale(this.devicePixelRatio, this.devicePixelRatio);
-            this.canvas.style.width = rect.width + 'px';
-            this.canvas.style.height = rect.height + 'px';
-            
-            // Update game dimensions
-            this.width = rect.width;
-            this.height = rect.height;
+            const aspect = Math.max(PLAYFIELD.minAspect, Math.min(PLAYFIELD.maxAspect, rect.width / rect.height));
+            const width = Math.round(PLAYFIELD.height * aspect);
+            const height = PLAYFIELD.height;
+            const scale = Math.min(rect.width / width, rect.height / height);
+            
+            this.devicePixelRatio = window.devicePixelRatio || 1;
+            this.pixelRatio = this.devicePixelRatio * scale;
+            this.viewport = {
+                scale: scale,
+                offsetX: (rect.width - width * scale) / 2,
+                offsetY: (rect.height - height * scale) / 2
+            };
+            
+            // Resizing the canvas resets its context, so the transform is set
+            // outright rather than scaled on top of the last one
+            this.canvas.width = Math.round(rect.width * this.devicePixelRatio);
+            this.canvas.height = Math.round(rect.height * this.devicePixelRatio);
+            const dpr = this.devicePixelRatio;
+            this.ctx.setTransform(dpr * scale, 0, 0, dpr * scale, dpr * this.viewport.offsetX, dpr * this.viewport.offsetY);
+            
+            this.resizePlayfield(width, height);
         };
         
         resizeCanvas();
         window.addEventListener('resize', resizeCanvas);
+        this.portraitQuery.addEventListener('change', () => this.checkOrientation());
     }
 
-    setupAudio() {
-        try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        } catch (e) {
-            console.warn('Web Audio API not supported');
-            this.audioContext = null;
+    resizePlayfield(width, height) {
+        const previous = this.width;
+        const sx = width / this.width;
+        const sy = height / this.height;
+        this.width = width;
+        this.height = height;
+        this.engine.resize(width, height);
+        this.editor.resize(width, height);
+        this.invalidateSprites();
+        if (previous === undefined || (sx === 1 && sy === 1)) return;
+        
+        for (let particle of this.particles.particles) {
+            particle.x *= sx;
+            particle.y *= sy;
+        }
+        this.generateStarfield(this.starSeed);
+        
+        // The recording and ghost assume one playfield size for the whole run
+        if (this.gameState === 'playing' || this.gameState === 'paused') {
+            this.runResized = true;
+            if (this.ghost) {
+                this.ghost = null;
+                document.getElementById('ghostDelta').classList.add('hidden');
+            }
         }
     }
 
-    playSound(type) {
-        if (!this.audioContext || this.isMuted || !this.userGestureReceived) return;
+    isPortraitBlocked() {
+        return this.profile.getSetting('portraitPause') && this.portraitQuery.matches;
+    }
+
+    // With the portrait lock on, turning the device upright pauses the run
+    // and turning it back resumes it
+    checkOrientation() {
+        const blocked = this.isPortraitBlocked();
+        document.getElementById('rotateNotice').classList.toggle('hidden', !blocked);
+        if (blocked) {
+            this.pauseGame(true);
+        } else if (this.autoPaused && !document.hidden) {
+            this.resumeGame();
+        }
+    }
+
+    setupEngineEvents() {
+        this.engine.on('score', ({ score, player }) => {
+            if (player) {
+                document.getElementById('score2').textContent = score;
+                return;
+            }
+            document.getElementById('score').textContent = score;
+            if (this.runMode !== 'versus') {
+                this.announceScore(score);
+            }
+        });
         
-        try {
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            
-            switch (type) {
-                case 'thrust':
-                    oscillator.frequency.setValueAtTime(440, this.audioContext.currentTime);
-                    gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.1);
-                    oscillator.start();
-                    oscillator.stop(this.audioContext.currentTime + 0.1);
-                    break;
-                case 'score':
-                    oscillator.frequency.setValueAtTime(880, this.audioContext.currentTime);
-                    gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.2);
-                    oscillator.start();
-                    oscillator.stop(this.audioContext.currentTime + 0.2);
-                    break;
-                case 'crash':
-                    oscillator.type = 'sawtooth';
-                    oscillator.frequency.setValueAtTime(220, this.audioContext.currentTime);
-                    gainNode.gain.setValueAtTime(0.2, this.audioContext.currentTime);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.3);
-                    oscillator.start();
-                    oscillator.stop(this.audioContext.currentTime + 0.3);
-                    
-                    // Vibration on supported devices
-                    if (navigator.vibrate) {
-                        navigator.vibrate([100, 50, 100]);
-                    }
-                    break;
+        this.engine.on('bestScore', ({ bestScore }) => {
+            document.getElementById('best').textContent = bestScore;
+            this.beatBestThisRun = true;
+            this.profile.set('bestScore', bestScore);
+        });
+        
+        // In versus the run goes on until the other rocket crashes too
+        this.engine.on('crash', ({ player }) => {
+            this.explode(this.engine.players[player].spaceship);
+            if (!this.engine.running) {
+                this.gameOver();
+            } else {
+                this.announce(`Player ${player + 1} crashed`, true);
             }
-        } catch (e) {
-            console.warn('Audio error:', e);
+        });
+        
+        this.engine.on('level', ({ level }) => {
+            this.audio.setLevel(level);
+        });
+        
+        this.engine.on('pass', ({ player }) => {
+            const ship = this.engine.players[player].spaceship;
+            this.particles.emit('sparkle', ship.x, ship.y);
+        });
+        
+        // Scraping past a column kicks up dust from the rock, left behind as the course scrolls
+        this.engine.on('graze', ({ x, y, player }) => {
+            this.particles.stream('dust', x, y, {
+                direction: y < this.engine.players[player].spaceship.y ? Math.PI / 2 : -Math.PI / 2,
+                vx: -this.engine.scrollSpeed,
+                timer: `dust${player}`
+            });
+        });
+        
+        this.engine.on('shieldHit', () => this.playSound('shieldHit'));
+        
+        this.engine.on('courseHit', () => {
+            const ship = this.engine.spaceship;
+            this.playSound('shieldHit');
+            this.particles.emit('dust', ship.x, ship.y, { count: 8, spread: Math.PI * 2 });
+        });
+        
+        this.engine.on('finish', (result) => this.completeCourse(result));
+        this.engine.on('orb', () => this.playSound('orb'));
+        
+        for (let type of ['thrust', 'pass', 'nearMiss', 'level', 'score']) {
+            this.engine.on(type, (data) => this.achievements.handle(type, data));
+        }
+    }
+
+    setupAudio() {
+        this.audio = new AudioEngine({
+            volumes: this.profile.getSetting('volume'),
+            muted: this.isMuted
+        });
+    }
+
+    playSound(type) {
+        this.audio.play(type);
+        
+        // Vibration on supported devices
+        if (type === 'crash' && !this.isMuted && navigator.vibrate) {
+            navigator.vibrate([100, 50, 100]);
         }
     }
 
     setupEventListeners() {
-        // Skin selection
-        document.querySelectorAll('.skin-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                document.querySelectorAll('.skin-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                this.selectedSkin = btn.dataset.skin;
-                localStorage.setItem('flappyRocketSkin', this.selectedSkin);
+        // Skin selection; buttons are rebuilt from the registry in renderSkinSelector()
+        document.getElementById('skinOptions').addEventListener('click', (e) => {
+            const btn = e.target.closest('.skin-btn');
+            if (!btn || btn.disabled) return;
+            
+            this.selectedSkin = btn.dataset.skin;
+            this.profile.setSetting('skin', this.selectedSkin);
+            document.querySelectorAll('.skin-btn').forEach(b => {
+                b.classList.toggle('active', b === btn);
+            });
+        });
+        
+        // Difficulty presets, listed from DIFFICULTY_PRESETS
+        const difficultyOptions = document.getElementById('difficultyOptions');
+        for (let [id, preset] of Object.entries(DIFFICULTY_PRESETS)) {
+            const btn = document.createElement('button');
+            btn.className = 'difficulty-btn';
+            btn.dataset.difficulty = id;
+            btn.textContent = preset.label;
+            btn.addEventListener('click', () => {
+                this.difficultyPreset = id;
+                this.profile.setSetting('difficulty', id);
+                this.renderDifficultyPanel();
             });
+            difficultyOptions.appendChild(btn);
+        }
+        
+        document.getElementById('adaptiveToggle').addEventListener('change', (e) => {
+            this.adaptiveDifficulty = e.target.checked;
+            this.profile.setSetting('adaptiveDifficulty', this.adaptiveDifficulty);
+            this.renderDifficultyPanel();
+        });
+        
+        document.getElementById('updateReloadBtn').addEventListener('click', () => {
+            this.applyUpdate();
         });
         
         // Menu buttons
         document.getElementById('playBtn').addEventListener('click', () => {
+            this.runMode = 'endless';
+            this.startTutorial();
+        });
+        
+        document.getElementById('dailyBtn').addEventListener('click', () => {
+            this.runMode = 'daily';
+            this.startTutorial();
+        });
+        
+        // Versus: two rockets on one screen, player two's skin picked here
+        document.getElementById('versusBtn').addEventListener('click', () => {
+            this.runMode = 'versus';
             this.startTutorial();
         });
         
+        document.getElementById('versusSkin').addEventListener('change', (e) => {
+            this.versusSkin = e.target.value;
+            this.profile.setSetting('versusSkin', this.versusSkin);
+        });
+        
+        // Courses: built-ins and the editor draft, flown start to finish
+        document.getElementById('coursesBtn').addEventListener('click', () => {
+            this.showCourses();
+        });
+        
+        document.getElementById('coursesBackBtn').addEventListener('click', () => {
+            this.showMenu();
+        });
+        
+        document.getElementById('courseEditorBtn').addEventListener('click', () => {
+            this.showEditor();
+        });
+        
+        document.getElementById('courseList').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-index]');
+            if (btn) {
+                this.playCourse(this.courseList[parseInt(btn.dataset.index)], 'courses');
+            }
+        });
+        
+        document.getElementById('courseRetryBtn').addEventListener('click', () => {
+            this.resetGame();
+        });
+        
+        document.getElementById('courseEditBtn').addEventListener('click', () => {
+            this.showEditor();
+        });
+        
+        document.getElementById('courseDoneBtn').addEventListener('click', () => {
+            this.showCourses();
+        });
+        
         document.getElementById('restartBtn').addEventListener('click', () => {
             this.resetGame();
         });
@@ -177,27 +457,181 @@ class FlappyRocket {
             this.showMenu();
         });
         
+        document.getElementById('exportBannerStatsBtn').addEventListener('click', () => {
+            this.campaigns.flush();
+            this.downloadJson('flappy-rocket-banner-stats.json', this.campaigns.exportStats());
+        });
+        
+        document.getElementById('ghostToggle').addEventListener('change', (e) => {
+            this.ghostMode = e.target.checked;
+            this.profile.setSetting('ghostMode', this.ghostMode);
+        });
+        
+        // Profile transfer between devices
+        document.getElementById('exportProfileBtn').addEventListener('click', () => {
+            this.campaigns.flush();
+            this.downloadJson(`flappy-rocket-profile-${this.utcDateKey()}.json`, this.profile.exportData());
+        });
+        
+        document.getElementById('importProfileBtn').addEventListener('click', () => {
+            document.getElementById('importProfileFile').click();
+        });
+        
+        document.getElementById('importProfileFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importProfile(file);
+        });
+        
+        // Replays
+        document.getElementById('saveReplayBtn').addEventListener('click', () => {
+            this.saveLastRun();
+        });
+        
+        document.getElementById('achievementsBtn').addEventListener('click', () => {
+            this.showAchievements();
+        });
+        
+        document.getElementById('achievementsBackBtn').addEventListener('click', () => {
+            this.showMenu();
+        });
+        
+        // Records
+        document.getElementById('recordsBtn').addEventListener('click', () => {
+            this.showRecords();
+        });
+        
+        document.getElementById('recordsBackBtn').addEventListener('click', () => {
+            this.showMenu();
+        });
+        
+        document.getElementById('initialsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveInitials();
+        });
+        
+        document.getElementById('replaysBtn').addEventListener('click', () => {
+            this.showReplays();
+        });
+        
+        document.getElementById('replaysBackBtn').addEventListener('click', () => {
+            this.showMenu();
+        });
+        
+        document.getElementById('replayList').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+            
+            const index = parseInt(btn.dataset.index);
+            if (btn.dataset.action === 'watch') {
+                this.startReplay(this.loadReplays()[index]);
+            } else if (btn.dataset.action === 'delete') {
+                this.deleteReplay(index);
+            }
+        });
+        
+        document.getElementById('replayPauseBtn').addEventListener('click', () => {
+            this.toggleReplayPause();
+        });
+        
+        document.getElementById('replayScrub').addEventListener('input', (e) => {
+            this.seekReplay(parseInt(e.target.value));
+        });
+        
+        document.getElementById('replaySpeed').addEventListener('change', (e) => {
+            this.replaySpeed = parseFloat(e.target.value);
+        });
+        
+        document.getElementById('replayExitBtn').addEventListener('click', () => {
+            this.showMenu();
+        });
+        
         // Mute button
         document.getElementById('muteBtn').addEventListener('click', () => {
             this.toggleMute();
         });
         
-        // Input handling
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            this.handleInput();
-        }, { passive: false });
+        // Volume sliders, saved as they move
+        document.querySelectorAll('.volume-slider').forEach(slider => {
+            slider.addEventListener('input', () => {
+                const volume = Object.assign({}, this.profile.getSetting('volume'));
+                volume[slider.dataset.bus] = slider.value / 100;
+                this.audio.setVolume(slider.dataset.bus, volume[slider.dataset.bus]);
+                this.profile.setSetting('volume', volume);
+            });
+        });
         
-        this.canvas.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.handleInput();
+        // Browsers only start audio from a user gesture (iOS also after interruptions)
+        for (let type of ['pointerdown', 'keydown', 'touchend']) {
+            document.addEventListener(type, () => this.audio.unlock());
+        }
+        
+        // Pause controls
+        document.getElementById('pauseBtn').addEventListener('click', () => {
+            this.pauseGame();
         });
         
-        document.addEventListener('keydown', (e) => {
-            if (e.code === 'Space') {
-                e.preventDefault();
-                this.handleInput();
-            }
+        document.getElementById('resumeBtn').addEventListener('click', () => {
+            this.resumeGame();
+        });
+        
+        document.getElementById('pauseRestartBtn').addEventListener('click', () => {
+            this.resetGame();
+        });
+        
+        document.getElementById('pauseMenuBtn').addEventListener('click', () => {
+            this.showMenu();
+        });
+        
+        // Keyboard, pointer and gamepad input arrive as actions
+        this.input = new InputManager({
+            surface: this.canvas,
+            bindings: this.profile.getSetting('bindings'),
+            onAction: (action, info) => this.handleAction(action, info)
+        });
+        
+        // Accessibility settings
+        document.getElementById('reducedMotionToggle').addEventListener('change', (e) => {
+            this.profile.setSetting('reducedMotion', e.target.checked);
+            this.applyAccessibility();
+        });
+        
+        document.getElementById('highContrastToggle').addEventListener('change', (e) => {
+            this.profile.setSetting('highContrast', e.target.checked);
+            this.applyAccessibility();
+        });
+        
+        document.getElementById('assistSpeed').addEventListener('change', (e) => {
+            this.profile.setSetting('assistSpeed', parseFloat(e.target.value));
+            this.applyAccessibility();
+        });
+        
+        document.getElementById('portraitPauseToggle').addEventListener('change', (e) => {
+            this.profile.setSetting('portraitPause', e.target.checked);
+        });
+        
+        document.getElementById('qualitySelect').addEventListener('change', (e) => {
+            this.profile.setSetting('quality', e.target.value);
+            this.frameMonitor.setMode(e.target.value);
+            this.renderQualityStatus();
+        });
+        
+        // Control settings
+        document.getElementById('controlScheme').addEventListener('change', (e) => {
+            this.controlScheme = e.target.value;
+            this.profile.setSetting('controlScheme', this.controlScheme);
+            this.updateControlHints();
+        });
+        
+        document.getElementById('bindingList').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (btn) this.captureBinding(btn);
+        });
+        
+        document.getElementById('resetBindingsBtn').addEventListener('click', () => {
+            this.input.resetBindings();
+            this.profile.setSetting('bindings', null);
+            this.renderBindings();
         });
         
         // Tutorial overlay click
@@ -212,94 +646,398 @@ class FlappyRocket {
             e.preventDefault();
         });
         
-        // Handle visibility changes
+        // An explicit reduced-motion choice wins; otherwise follow the OS setting live
+        window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', () => {
+            this.applyAccessibility();
+        });
+        
+        // Auto-pause when the game loses visibility or focus, resume on return
         document.addEventListener('visibilitychange', () => {
-            if (document.hidden && this.gameState === 'playing') {
-                this.gameRunning = false;
+            if (document.hidden) {
+                this.pauseGame(true);
+                this.campaigns.flush();
+                this.audio.suspend();
+            } else {
+                this.audio.unlock();
+                if (this.autoPaused) {
+                    this.resumeGame();
+                }
             }
         });
+        
+        window.addEventListener('blur', () => {
+            this.pauseGame(true);
+        });
+        
+        window.addEventListener('focus', () => {
+            if (this.autoPaused && !document.hidden) {
+                this.resumeGame();
+            }
+        });
+    }
+
+    applyAccessibility() {
+        const saved = this.profile.getSetting('reducedMotion');
+        this.reducedMotion = saved === null
+            ? window.matchMedia('(prefers-reduced-motion: reduce)').matches
+            : saved;
+        const highContrast = this.profile.getSetting('highContrast');
+        this.colors = Object.assign({}, this.baseColors, highContrast ? this.highContrastColors : {});
+        this.invalidateSprites();
+        this.assistSpeed = this.profile.getSetting('assistSpeed');
+        
+        document.body.classList.toggle('reduced-motion', this.reducedMotion);
+        document.body.classList.toggle('high-contrast', highContrast);
+        document.getElementById('reducedMotionToggle').checked = this.reducedMotion;
+        document.getElementById('highContrastToggle').checked = highContrast;
+        document.getElementById('assistSpeed').value = String(this.assistSpeed);
+    }
+
+    // Screen readers get the score once it settles rather than every point
+    announceScore(score) {
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => this.announce(`Score ${score}`), 800);
+    }
+
+    announce(text, urgent = false) {
+        const region = document.getElementById(urgent ? 'alertAnnouncer' : 'announcer');
+        // Clearing first makes repeated messages read out again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = text;
+        }, 50);
     }
 
-    handleInput() {
-        if (!this.userGestureReceived) {
-            this.userGestureReceived = true;
-            // Resume audio context on first user gesture (iOS requirement)
-            if (this.audioContext && this.audioContext.state === 'suspended') {
-                this.audioContext.resume();
+    // Routes an input action by game state; returns true when it was used so
+    // unused keys keep their native behaviour
+    handleAction(action, info) {
+        const state = this.gameState;
+        switch (action) {
+            case 'thrust':
+                if (state !== 'tutorial' && state !== 'playing' && state !== 'replay') return false;
+                this.handleInput(this.runMode === 'versus' && info.source === 'pointer' && this.isRightHalf(info.x) ? 1 : 0);
+                return true;
+            case 'thrust2':
+                // Only versus has a player two; elsewhere Enter keeps its usual job
+                if (state !== 'playing' || this.runMode !== 'versus') return false;
+                this.handleInput(1);
+                return true;
+            case 'pause':
+                if (state === 'playing') {
+                    this.pauseGame();
+                } else if (state === 'paused') {
+                    this.resumeGame();
+                } else {
+                    return false;
+                }
+                return true;
+            case 'back':
+                return this.goBack();
+            case 'confirm':
+                if (state === 'tutorial') {
+                    this.startGame();
+                    return true;
+                }
+                // Enter already activates focused controls; gamepads need a nudge
+                return info.source === 'gamepad' && this.activateFocused();
+            default:
+                return this.moveFocus(action, info);
+        }
+    }
+
+    goBack() {
+        switch (this.gameState) {
+            case 'menu':
+                if (!document.getElementById('menu').classList.contains('hidden')) return false;
+                this.showMenu();
+                return true;
+            case 'paused':
+                this.resumeGame();
+                return true;
+            case 'tutorial':
+            case 'gameOver':
+            case 'replay':
+            case 'courses':
+                this.showMenu();
+                return true;
+            case 'editor':
+            case 'courseComplete':
+                this.showCourses();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    getFocusables() {
+        const container = document.querySelector('.overlay:not(.hidden), .replay-controls:not(.hidden)');
+        if (!container) return [];
+        
+        return Array.from(container.querySelectorAll('button, input, select, summary'))
+            .filter(el => !el.disabled && el.offsetParent !== null);
+    }
+
+    // Steps focus through the visible overlay's controls in document order
+    moveFocus(direction, info) {
+        if (this.gameState === 'playing' || this.gameState === 'tutorial') return false;
+        
+        const active = document.activeElement;
+        const horizontal = direction === 'left' || direction === 'right';
+        if (active && active.matches('input[type="range"], select')) {
+            if (info.source === 'keyboard') return false;
+            
+            // Gamepads adjust sliders sideways, like arrow keys do natively
+            if (horizontal && active.type === 'range') {
+                direction === 'left' ? active.stepDown(5) : active.stepUp(5);
+                active.dispatchEvent(new Event('input'));
+                return true;
             }
         }
         
+        const focusables = this.getFocusables();
+        if (focusables.length === 0) return false;
+        
+        const index = focusables.indexOf(active);
+        const delta = direction === 'up' || direction === 'left' ? -1 : 1;
+        const next = index < 0 ? focusables[0] : focusables[(index + delta + focusables.length) % focusables.length];
+        next.focus();
+        return true;
+    }
+
+    activateFocused() {
+        const active = document.activeElement;
+        if (!this.getFocusables().includes(active)) {
+            return this.moveFocus('down', { source: 'gamepad' });
+        }
+        
+        active.click();
+        return true;
+    }
+
+    captureBinding(btn) {
+        const action = btn.dataset.action;
+        btn.textContent = 'Press a key or button…';
+        const timeout = setTimeout(() => this.input.cancelCapture(), 5000);
+        
+        this.input.captureNext().then(input => {
+            clearTimeout(timeout);
+            if (input) {
+                this.input.rebind(action, input);
+                this.profile.setSetting('bindings', this.input.bindings);
+            }
+            this.renderBindings();
+            this.updateControlHints();
+        });
+    }
+
+    renderBindings() {
+        const labels = { thrust: 'Thrust', thrust2: 'Player 2 thrust', pause: 'Pause', confirm: 'Confirm', back: 'Back' };
+        const list = document.getElementById('bindingList');
+        list.innerHTML = '';
+        
+        for (let action of Object.keys(labels)) {
+            const item = document.createElement('li');
+            item.innerHTML = '<span class="binding-action"></span><span class="binding-keys"></span>';
+            item.querySelector('.binding-action').textContent = labels[action];
+            item.querySelector('.binding-keys').textContent = this.input.describe(action);
+            
+            const btn = document.createElement('button');
+            btn.className = 'btn btn--sm btn--outline';
+            btn.dataset.action = action;
+            btn.textContent = 'Rebind';
+            item.appendChild(btn);
+            list.appendChild(item);
+        }
+    }
+
+    // Keeps on-screen instructions in step with bindings and thrust style
+    updateControlHints() {
+        const hold = this.controlScheme === 'hold';
+        const thrustKey = InputManager.describeKey(this.input.bindings.thrust.keys[0] || 'Space');
+        const thrust2Key = InputManager.describeKey(this.input.bindings.thrust2.keys[0] || 'Enter');
+        const pauseKeys = this.input.bindings.pause.keys.map(code => InputManager.describeKey(code)).join(' or ');
+        
+        document.getElementById('controlScheme').value = this.controlScheme;
+        document.querySelector('#controls .desktop-only').textContent = hold
+            ? `Hold ${thrustKey} or the mouse button to fly up`
+            : `Press ${thrustKey} or click to thrust`;
+        document.querySelector('#controls .mobile-only').textContent = hold ? 'Hold anywhere to fly up' : 'Tap anywhere to thrust';
+        document.getElementById('tutorialThrustHint').textContent = this.runMode === 'versus'
+            ? `Player 1: ${thrustKey} or the left half · Player 2: ${thrust2Key} or the right half`
+            : hold ? 'Hold anywhere to fly upward, let go to fall' : 'Tap anywhere to thrust upward';
+        document.querySelector('.pause-hint').textContent = `Press ${pauseKeys} to resume`;
+    }
+
+    // player is 0, or 1 for the second rocket in versus
+    handleInput(player = 0) {
         if (this.gameState === 'tutorial') {
             this.startGame();
         } else if (this.gameState === 'playing' && this.inputEnabled) {
-            this.thrust();
+            // Hold-to-thrust reads the held level every tick instead
+            this.pendingThrusts[player] = this.controlScheme === 'tap';
+        } else if (this.gameState === 'replay') {
+            this.toggleReplayPause();
+        }
+    }
+
+    pauseGame(auto = false) {
+        if (this.gameState === 'playing') {
+            this.gameState = 'paused';
+            this.gameRunning = false;
+            this.pendingThrusts.fill(false);
+            
+            if (this.animationFrameId) {
+                cancelAnimationFrame(this.animationFrameId);
+                this.animationFrameId = null;
+            }
+        } else if (this.gameState !== 'paused' || !this.resumeTimer) {
+            // Not in a run, or already sitting on the pause overlay
+            return;
         }
+        
+        this.cancelResumeCountdown();
+        this.autoPaused = auto;
+        this.audio.duck(true);
+        document.getElementById('pause').classList.remove('hidden');
+        this.announce('Paused');
+    }
+
+    // Resumes after a 3-2-1 countdown so the rocket doesn't drop instantly
+    resumeGame() {
+        if (this.gameState !== 'paused' || this.resumeTimer || this.isPortraitBlocked()) return;
+        
+        this.autoPaused = false;
+        document.getElementById('pause').classList.add('hidden');
+        
+        const countdownEl = document.getElementById('resumeCountdown');
+        countdownEl.classList.remove('hidden');
+        this.announce('Resuming in 3 seconds');
+        
+        let count = 3;
+        const tick = () => {
+            if (count === 0) {
+                this.resumeTimer = null;
+                countdownEl.classList.add('hidden');
+                
+                this.gameState = 'playing';
+                this.gameRunning = true;
+                this.audio.duck(false);
+                this.lastTime = performance.now();
+                this.accumulator = 0;
+                this.gameLoop(this.lastTime);
+                return;
+            }
+            
+            countdownEl.textContent = count--;
+            this.resumeTimer = setTimeout(tick, 1000);
+        };
+        tick();
+    }
+
+    cancelResumeCountdown() {
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = null;
+        document.getElementById('resumeCountdown').classList.add('hidden');
     }
 
-    thrust() {
-        this.spaceship.vy = -8;
-        this.spaceship.thrusting = true;
-        this.spaceship.thrustTime = Date.now();
-        this.playSound('thrust');
+    // Leaving during the crash delay must not bring the overlay up afterwards
+    cancelGameOverOverlay() {
+        clearTimeout(this.gameOverTimer);
+        this.gameOverTimer = null;
     }
 
     toggleMute() {
         this.isMuted = !this.isMuted;
-        localStorage.setItem('flappyRocketMuted', this.isMuted.toString());
+        this.profile.setSetting('muted', this.isMuted);
+        this.audio.setMuted(this.isMuted);
         document.getElementById('muteBtn').textContent = this.isMuted ? '🔇' : '🔊';
     }
 
     registerServiceWorker() {
-        if ('serviceWorker' in navigator) {
-            // Inline service worker for self-contained deployment
-            const swCode = `
-                const CACHE_NAME = 'flappy-rocket-v1';
-                const urlsToCache = [
-                    './',
-                    './index.html',
-                    './style.css', 
-                    './app.js'
-                ];
-                
-                self.addEventListener('install', event => {
-                    event.waitUntil(
-                        caches.open(CACHE_NAME)
-                            .then(cache => cache.addAll(urlsToCache))
-                    );
-                });
-                
-                self.addEventListener('fetch', event => {
-                    event.respondWith(
-                        caches.match(event.request)
-                            .then(response => response || fetch(event.request))
-                    );
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.register('./sw.js')
+            .then(reg => {
+                // A new version may already be waiting from an earlier visit
+                if (reg.waiting && navigator.serviceWorker.controller) {
+                    this.setWaitingWorker(reg.waiting);
+                }
+                reg.addEventListener('updatefound', () => {
+                    const worker = reg.installing;
+                    worker.addEventListener('statechange', () => {
+                        // With no controller this is the first install, not an update
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            this.setWaitingWorker(worker);
+                        }
+                    });
                 });
-            `;
-            
-            const blob = new Blob([swCode], { type: 'application/javascript' });
-            const swUrl = URL.createObjectURL(blob);
-            
-            navigator.serviceWorker.register(swUrl)
-                .then(reg => console.log('SW registered', reg))
-                .catch(err => console.log('SW registration failed', err));
-        }
+            })
+            .catch(err => console.warn('SW registration failed', err));
+        
+        // Reload once the accepted update has taken control
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateAccepted) {
+                window.location.reload();
+            }
+        });
+    }
+
+    setWaitingWorker(worker) {
+        this.waitingWorker = worker;
+        this.refreshUpdatePrompt();
+    }
+
+    // The update prompt only shows between runs, never over one
+    refreshUpdatePrompt() {
+        const idle = ['menu', 'gameOver', 'courses', 'courseComplete'].includes(this.gameState);
+        document.getElementById('updatePrompt').classList.toggle('hidden', !this.waitingWorker || !idle);
+    }
+
+    applyUpdate() {
+        if (!this.waitingWorker || this.updateAccepted) return;
+        
+        this.updateAccepted = true;
+        this.campaigns.flush();
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
     }
 
-    generateStarfield() {
+    generateStarfield(seed = SeededRandom.randomSeed()) {
+        // Derived from the run seed so replays show the same sky; kept for resizes
+        this.starSeed = seed;
+        this.starRandom = new SeededRandom(seed ^ 0x5bd1e995);
+        const random = this.starRandom;
+        
         this.stars = [];
         const starCount = Math.min(100, Math.floor((this.width * this.height) / 5000));
         
         for (let i = 0; i < starCount; i++) {
+            const x = random.next() * this.width;
             this.stars.push({
-                x: Math.random() * this.width,
-                y: Math.random() * this.height,
-                size: Math.random() * 2 + 0.5,
-                speed: Math.random() * 0.5 + 0.1,
-                opacity: Math.random() * 0.8 + 0.2
+                x: x,
+                prevX: x,
+                y: random.next() * this.height,
+                size: random.next() * 2 + 0.5,
+                speed: random.next() * 0.5 + 0.1,
+                opacity: random.next() * 0.8 + 0.2
             });
         }
     }
 
+    updateStarfield(speed) {
+        // Reduced motion keeps the starfield still
+        if (this.reducedMotion) return;
+        
+        for (let star of this.stars) {
+            star.prevX = star.x;
+            star.x -= star.speed * speed;
+            if (star.x < -5) {
+                star.x = this.width + 5;
+                star.prevX = star.x;
+                star.y = this.starRandom.next() * this.height;
+            }
+        }
+    }
+
     showSplash() {
         this.gameState = 'splash';
         document.getElementById('splash').classList.remove('hidden');
@@ -309,6 +1047,118 @@ class FlappyRocket {
         }, 1000);
     }
 
+    renderSkinSelector() {
+        const container = document.getElementById('skinOptions');
+        container.innerHTML = '';
+        for (let skin of this.skins.list()) {
+            const btn = document.createElement('button');
+            btn.className = 'skin-btn';
+            btn.dataset.skin = skin.id;
+            btn.disabled = !skin.unlocked;
+            btn.classList.toggle('active', skin.id === this.selectedSkin);
+            btn.innerHTML = '<canvas class="skin-preview" width="64" height="32" aria-hidden="true"></canvas><span></span>';
+            btn.querySelector('span').textContent = `${skin.icon} ${skin.name}`;
+            if (!skin.unlocked) {
+                const lock = document.createElement('small');
+                lock.className = 'skin-lock';
+                lock.textContent = `🔒 ${skin.requirement}`;
+                btn.appendChild(lock);
+                btn.setAttribute('aria-label', `${skin.name}, locked: ${skin.requirement}`);
+            }
+            container.appendChild(btn);
+        }
+        this.drawSkinPreviews();
+    }
+
+    // Menu previews use the in-game renderer, flames included
+    drawSkinPreviews() {
+        const time = Date.now();
+        const intensity = this.reducedMotion ? 0.8 : 0.6 + Math.sin(time * 0.005) * 0.4;
+        document.querySelectorAll('.skin-preview').forEach(canvas => {
+            const ctx = canvas.getContext('2d');
+            const skin = this.skins.get(canvas.parentElement.dataset.skin);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.save();
+            ctx.translate(canvas.width / 2 + 6, canvas.height / 2);
+            this.drawThrusterFlames(intensity, skin, ctx);
+            this.drawSpaceshipBody(skin, ctx);
+            ctx.restore();
+        });
+    }
+
+    applyQuality(level) {
+        this.quality = QUALITY_LEVELS[level];
+        this.particles.setQuality(this.quality.particleScale);
+        this.renderQualityStatus();
+    }
+
+    renderQualityStatus() {
+        document.getElementById('qualitySelect').value = this.profile.getSetting('quality');
+        document.getElementById('portraitPauseToggle').checked = this.profile.getSetting('portraitPause');
+        document.getElementById('qualityStatus').textContent = this.frameMonitor.auto
+            ? `Currently ${this.frameMonitor.level}; lowered automatically if frames run long.`
+            : '';
+    }
+
+    renderDifficultyPanel() {
+        document.querySelectorAll('.difficulty-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.difficulty === this.difficultyPreset);
+        });
+        document.getElementById('adaptiveToggle').checked = this.adaptiveDifficulty;
+        document.getElementById('adaptiveStatus').textContent = this.adaptiveDifficulty
+            ? `Tuned to your recent runs: ${this.difficulty.describe()}`
+            : 'Personal best and ghost count Normal runs only.';
+    }
+
+    // Only these runs touch the personal best and the ghost
+    isStandardRun() {
+        return this.runMode === 'endless' && this.assistSpeed === 1 &&
+            this.runDifficulty === 'normal' && !this.runAdaptive && !this.debugRun;
+    }
+
+    // key is the changed setting, or null after a reset to defaults
+    handleDebugChange(key) {
+        this.particles.maxParticles = this.config.maxParticles;
+        if (this.gameState !== 'playing' && this.gameState !== 'paused') return;
+        
+        // Touching the tools midway turns the run into a debug run
+        if (!this.debugRun) {
+            this.debugRun = true;
+            this.engine.trackBest = false;
+            this.achievements.cancelRun();
+        }
+        if (key === null || key in this.config) {
+            this.runTuned = true;
+        }
+    }
+
+    // Client coordinates to playfield units, past the letterbox
+    toPlayfield(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const { scale, offsetX, offsetY } = this.viewport;
+        return { x: (clientX - rect.left - offsetX) / scale, y: (clientY - rect.top - offsetY) / scale };
+    }
+
+    // Versus splits the screen: the left half flies player one, the right half player two
+    isRightHalf(clientX) {
+        return this.toPlayfield(clientX, 0).x >= this.width / 2;
+    }
+
+    holdFor(player) {
+        if (this.runMode !== 'versus') return this.input.holdValue();
+        
+        const right = player === 1;
+        return this.input.holdValue(right ? 'thrust2' : 'thrust', x => this.isRightHalf(x) === right);
+    }
+
+    // Frame stepping: one tick per press while the debug clock is frozen
+    stepFrame() {
+        if (this.gameState !== 'playing' || !this.debug.frozen) return;
+        
+        this.update();
+        this.renderAlpha = 1;
+    }
+
     showMenu() {
         this.gameState = 'menu';
         this.gameRunning = false;
@@ -320,25 +1170,249 @@ class FlappyRocket {
             this.animationFrameId = null;
         }
         
+        this.replay = null;
+        this.autoPaused = false;
+        this.cancelResumeCountdown();
+        this.cancelGameOverOverlay();
+        this.audio.stopMusic();
+        this.audio.duck(false);
         this.hideAllOverlays();
+        this.editor.close();
+        document.getElementById('replayControls').classList.add('hidden');
         document.getElementById('menu').classList.remove('hidden');
         
         // Update best score display
-        document.getElementById('best').textContent = this.bestScore;
+        document.getElementById('best').textContent = this.engine.bestScore;
         
-        // Set active skin
-        document.querySelectorAll('.skin-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.skin === this.selectedSkin);
-        });
+        this.renderSkinSelector();
         
-        // Update mute button
+        // Update mute button and volume sliders
         document.getElementById('muteBtn').textContent = this.isMuted ? '🔇' : '🔊';
+        const volume = this.profile.getSetting('volume');
+        document.querySelectorAll('.volume-slider').forEach(slider => {
+            slider.value = Math.round(volume[slider.dataset.bus] * 100);
+        });
+        
+        document.getElementById('ghostToggle').checked = this.ghostMode;
+        
+        this.renderDifficultyPanel();
+        this.renderDailyPanel();
+        this.renderVersusPanel();
+        this.renderQualityStatus();
+        this.refreshUpdatePrompt();
+        this.renderBindings();
+        this.updateControlHints();
+        this.updateBannerStatsButton();
+        this.campaigns.flush();
+        
+        document.getElementById('profileStatus').textContent = this.profile.persistent
+            ? ''
+            : '⚠️ Storage is blocked in this browser — export your progress before leaving';
+    }
+
+    importProfile(file) {
+        const status = document.getElementById('profileStatus');
+        file.text()
+            .then(text => {
+                this.profile.importData(text);
+                this.applyProfile();
+                this.showMenu();
+                status.textContent = '✓ Progress imported';
+            })
+            .catch(err => {
+                console.warn('Could not import profile:', err);
+                status.textContent = `Import failed: ${err.message}`;
+            });
+    }
+
+    // Reloads shell and engine state after the profile is replaced wholesale
+    applyProfile() {
+        this.selectedSkin = this.skins.resolve(this.profile.getSetting('skin'));
+        this.isMuted = this.profile.getSetting('muted');
+        this.ghostMode = this.profile.getSetting('ghostMode');
+        this.controlScheme = this.profile.getSetting('controlScheme');
+        this.difficultyPreset = this.profile.getSetting('difficulty');
+        this.adaptiveDifficulty = this.profile.getSetting('adaptiveDifficulty');
+        this.frameMonitor.setMode(this.profile.getSetting('quality'));
+        this.input.bindings = InputManager.normalizeBindings(this.profile.getSetting('bindings'));
+        this.audio.setMuted(this.isMuted);
+        for (let [bus, value] of Object.entries(this.profile.getSetting('volume'))) {
+            this.audio.setVolume(bus, value);
+        }
+        this.engine.bestScore = this.profile.get('bestScore');
+        this.campaigns.stats = this.campaigns.loadStats();
+        this.campaigns.statsDirty = false;
+        this.applyAccessibility();
+    }
+
+    updateBannerStatsButton() {
+        document.getElementById('exportBannerStatsBtn').classList.toggle('hidden', !this.campaigns.enabled);
+    }
+
+    downloadJson(filename, data) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    showCourses() {
+        this.gameState = 'courses';
+        this.hideAllOverlays();
+        this.editor.close();
+        document.getElementById('hud').classList.add('hidden');
+        document.getElementById('controls').classList.add('hidden');
+        document.getElementById('courses').classList.remove('hidden');
+        
+        const { draft, best, assistedBest } = this.profile.get('courses');
+        this.courseList = BUILTIN_COURSES.map(normalizeCourse);
+        if (draft) {
+            this.courseList.push(normalizeCourse(draft));
+        }
+        
+        const list = document.getElementById('courseList');
+        list.innerHTML = '';
+        this.courseList.forEach((course, index) => {
+            const record = best[courseKey(course)];
+            const assisted = assistedBest[courseKey(course)];
+            const item = document.createElement('li');
+            item.className = 'course-item';
+            const name = document.createElement('span');
+            name.className = 'course-name';
+            name.textContent = index === BUILTIN_COURSES.length ? `✏️ ${course.name}` : course.name;
+            const bestText = document.createElement('span');
+            bestText.className = 'course-best';
+            bestText.textContent = (record
+                ? `${record.medal ? MEDALS[record.medal].icon + ' ' : ''}${this.formatCourseTime(record.time)}`
+                : '—') + (assisted ? ` · 🐢 ${this.formatCourseTime(assisted.time)}` : '');
+            const play = document.createElement('button');
+            play.className = 'btn btn--primary btn--sm';
+            play.dataset.index = index;
+            play.textContent = 'Play';
+            play.setAttribute('aria-label', `Play ${course.name}`);
+            item.append(name, bestText, play);
+            list.appendChild(item);
+        });
+    }
+
+    showEditor() {
+        this.gameState = 'editor';
+        this.hideAllOverlays();
+        document.getElementById('hud').classList.add('hidden');
+        document.getElementById('controls').classList.add('hidden');
+        this.editor.open(this.profile.get('courses').draft || createBlankCourse(), this.width, this.height);
+    }
+
+    playCourse(course, origin) {
+        this.course = course;
+        this.courseOrigin = origin;
+        this.runMode = 'course';
+        this.startTutorial();
+    }
+
+    formatCourseTime(ms) {
+        return `${(ms / 1000).toFixed(2)}s`;
+    }
+
+    // Assist-speed finishes have their own bests, like the assisted leaderboard
+    courseBoard() {
+        return this.assistSpeed < 1 ? 'assistedBest' : 'best';
+    }
+
+    formatCourseBest(course) {
+        const board = this.courseBoard();
+        const record = this.profile.get('courses')[board][courseKey(course)];
+        if (!record) return '—';
+        return `${board === 'assistedBest' ? '🐢 ' : ''}${this.formatCourseTime(record.time)}`;
+    }
+
+    // Hits cost time rather than the run, so every course run ends here
+    completeCourse(result) {
+        this.gameState = 'courseComplete';
+        this.gameRunning = false;
+        this.inputEnabled = false;
+        
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        
+        const run = this.recorder.finish();
+        this.lastRun = this.runResized || this.runTuned ? null : run;
+        this.campaigns.flush();
+        this.audio.stopMusic();
+        this.playSound('finish');
+        
+        const course = this.course;
+        const medal = medalFor(course, result.time);
+        const key = courseKey(course);
+        const courses = this.profile.get('courses');
+        const board = this.courseBoard();
+        const previous = courses[board][key];
+        const newBest = !this.debugRun && (!previous || result.time < previous.time);
+        if (!this.debugRun) {
+            this.achievements.endRun();
+        }
+        if (newBest) {
+            const record = { time: result.time, hits: result.hits, medal: medal, assistSpeed: this.assistSpeed };
+            const best = Object.assign({}, courses[board], { [key]: record });
+            this.profile.set('courses', Object.assign({}, courses, { [board]: best }));
+        }
+        
+        const ship = this.engine.spaceship;
+        this.particles.emit('sparkle', ship.x, ship.y, { count: 30, speed: [2, 5] });
+        
+        document.getElementById('hud').classList.add('hidden');
+        document.getElementById('courseComplete').classList.remove('hidden');
+        document.getElementById('courseCompleteName').textContent = course.name;
+        document.getElementById('courseFinalTime').textContent = this.formatCourseTime(result.time);
+        document.getElementById('courseHits').textContent = result.hits
+            ? `${result.hits} hit${result.hits === 1 ? '' : 's'} · +${this.formatCourseTime(result.hits * course.hitPenaltyMs)}`
+            : 'Clean run';
+        document.getElementById('courseMedal').textContent = medal
+            ? `${MEDALS[medal].icon} ${MEDALS[medal].label}`
+            : 'No medal';
+        const assist = board === 'assistedBest' ? ` · 🐢 ${Math.round(this.assistSpeed * 100)}% speed` : '';
+        document.getElementById('courseBest').textContent = newBest
+            ? `🎉 New best!${assist}`
+            : previous ? `Best ${this.formatCourseTime(previous.time)}${assist}` : '';
+        const medals = courseMedals(course);
+        document.getElementById('courseMedalTimes').textContent = MEDALS_ORDER
+            .map(name => `${MEDALS[name].icon} ${this.formatCourseTime(medals[name])}`)
+            .join('  ');
+        document.getElementById('courseEditBtn').classList.toggle('hidden', this.courseOrigin !== 'editor');
+        this.refreshUpdatePrompt();
+        
+        clearTimeout(this.announceTimer);
+        this.announce(`Finished ${course.name} in ${(result.time / 1000).toFixed(2)} seconds` +
+            `${medal ? ', ' + MEDALS[medal].label + ' medal' : ''}.${newBest ? ' New best!' : ''}`, true);
+    }
+
+    renderVersusPanel() {
+        const select = document.getElementById('versusSkin');
+        this.versusSkin = this.skins.resolve(this.versusSkin);
+        select.innerHTML = '';
+        for (let id of this.skins.unlockedIds()) {
+            const skin = this.skins.get(id);
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${skin.icon} ${skin.name}`;
+            select.appendChild(option);
+        }
+        select.value = this.versusSkin;
     }
 
     startTutorial() {
         this.gameState = 'tutorial';
         this.hideAllOverlays();
+        this.updateControlHints();
         document.getElementById('tutorial').classList.remove('hidden');
+        this.refreshUpdatePrompt();
         
         this.tutorialCountdown = 5;
         this.tutorialStartTime = Date.now();
@@ -362,204 +1436,592 @@ class FlappyRocket {
             this.updateTutorialDisplay();
         }
         
-        if (elapsed >= this.config.tutorialDuration) {
-            this.startGame();
-        } else {
-            setTimeout(() => this.runTutorialCountdown(), 100);
+        if (elapsed >= this.config.tutorialDuration) {
+            this.startGame();
+        } else {
+            setTimeout(() => this.runTutorialCountdown(), 100);
+        }
+    }
+
+    startGame() {
+        this.gameState = 'playing';
+        this.hideAllOverlays();
+        this.refreshUpdatePrompt();
+        document.getElementById('hud').classList.remove('hidden');
+        document.getElementById('controls').classList.remove('hidden');
+        
+        // Initialize game state; the daily challenge and courses are always plain Normal so results compare
+        const daily = this.runMode === 'daily';
+        const course = this.runMode === 'course';
+        const versus = this.runMode === 'versus';
+        this.dailyDate = this.utcDateKey();
+        this.runDifficulty = daily || course ? 'normal' : this.difficultyPreset;
+        this.runAdaptive = !daily && !course && !versus && this.adaptiveDifficulty;
+        this.playerSkins = versus ? [this.selectedSkin, this.versusSkin] : [this.selectedSkin];
+        Object.assign(this.config, this.difficulty.configFor(this.runDifficulty, this.runAdaptive));
+        this.debug.apply(this.config);
+        this.debugRun = this.debug.tampered;
+        this.runTuned = false;
+        this.setupGhost();
+        
+        let seed = SeededRandom.randomSeed();
+        if (daily) {
+            seed = SeededRandom.hash(`daily-${this.dailyDate}`);
+        } else if (course) {
+            seed = this.course.seed;
+        } else if (this.ghost) {
+            seed = this.ghost.run.seed;
+        }
+        
+        // Assisted and non-Normal runs keep away from the personal best and its ghost
+        const meta = {
+            skin: this.selectedSkin,
+            mode: this.runMode,
+            assistSpeed: this.assistSpeed,
+            difficulty: this.runDifficulty,
+            adaptive: this.runAdaptive
+        };
+        this.unlockedSkinsAtStart = this.skins.unlockedIds();
+        if (daily) {
+            meta.date = this.dailyDate;
+        }
+        if (course) {
+            meta.course = this.course;
+        }
+        this.beatBestThisRun = false;
+        this.runResized = false;
+        this.engine.resize(this.width, this.height);
+        this.engine.reset(seed, {
+            trackBest: this.isStandardRun(),
+            course: course ? this.course : null,
+            players: this.playerSkins.length
+        });
+        this.recorder.start(meta);
+        if (!this.debugRun && !versus) {
+            this.achievements.startRun({ skin: this.selectedSkin, mode: this.runMode });
+        }
+        this.audio.duck(false);
+        this.audio.startMusic();
+        this.generateStarfield(seed);
+        this.particles.clear();
+        this.lastTime = performance.now();
+        this.accumulator = 0;
+        this.renderAlpha = 1;
+        this.gameRunning = true;
+        this.inputEnabled = true;
+        this.pendingThrusts = this.playerSkins.map(() => false);
+        
+        console.log('Game started - Spaceship position:', this.engine.spaceship.x, this.engine.spaceship.y);
+        
+        document.getElementById('score').textContent = 0;
+        document.getElementById('score2').textContent = 0;
+        document.getElementById('scoreLabel').textContent = versus ? 'P1' : 'Score';
+        document.getElementById('score2Panel').classList.toggle('hidden', !versus);
+        document.getElementById('bestPanel').classList.toggle('hidden', versus);
+        document.getElementById('best').textContent = daily
+            ? this.getDailyEntry(this.dailyDate).best
+            : course ? this.formatCourseBest(this.course) : this.engine.bestScore;
+        document.getElementById('ghostDelta').classList.toggle('hidden', !this.ghost);
+        document.getElementById('courseTime').classList.toggle('hidden', !course);
+        this.courseHudText = '';
+        this.updateCourseHud();
+        this.updatePowerUpHud();
+        this.updateGhostDelta();
+        this.gameLoop(this.lastTime);
+        if (this.isPortraitBlocked()) {
+            this.checkOrientation();
+        }
+        
+        // Hide controls after a delay
+        setTimeout(() => {
+            if (this.gameState === 'playing') {
+                document.getElementById('controls').classList.add('hidden');
+            }
+        }, 3000);
+    }
+
+    resetGame() {
+        console.log('Resetting game...');
+        
+        // Cancel any running animation frame
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        
+        // Reset game state
+        this.gameRunning = false;
+        this.inputEnabled = false;
+        this.autoPaused = false;
+        this.cancelResumeCountdown();
+        this.cancelGameOverOverlay();
+        this.particles.clear();
+        
+        // Hide HUD and controls
+        document.getElementById('hud').classList.add('hidden');
+        document.getElementById('controls').classList.add('hidden');
+        
+        // Start tutorial again
+        this.startTutorial();
+    }
+
+    gameOver() {
+        console.log('Game over!');
+        this.gameState = 'gameOver';
+        this.gameRunning = false;
+        this.inputEnabled = false;
+        
+        // Cancel animation frame
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        
+        // A run resized or retuned midway can't be re-simulated, and recordings
+        // hold one rocket's input, so such runs are neither replay nor ghost
+        const versus = this.runMode === 'versus';
+        const run = this.recorder.finish();
+        this.lastRun = this.runResized || this.runTuned || versus ? null : run;
+        this.campaigns.flush();
+        this.audio.stopMusic();
+        
+        // Debug and versus runs stay out of the records, achievements and adaptive tuning
+        const unrated = this.debugRun || versus;
+        const { id, board, rank } = unrated ? { id: null, board: null, rank: -1 } : this.records.addRun({
+            score: this.engine.score,
+            durationMs: this.engine.simTime,
+            maxLevel: this.engine.difficultyLevel,
+            thrusts: run ? run.thrusts.length : 0,
+            skin: this.selectedSkin,
+            mode: this.runMode,
+            assistSpeed: this.assistSpeed,
+            difficulty: this.runDifficulty,
+            adaptive: this.runAdaptive
+        });
+        this.recordEntryId = rank >= 0 ? id : null;
+        this.recordBoard = board;
+        if (!unrated) {
+            this.achievements.endRun();
+            this.difficulty.recordRun({
+                durationMs: this.engine.simTime,
+                passes: this.engine.obstaclesPassed,
+                nearMisses: this.engine.nearMisses,
+                level: this.engine.difficultyLevel,
+                adaptive: this.runAdaptive
+            });
+        }
+        
+        // Assist-speed dailies stay out of today's best and the daily history, like the other records
+        const newDailyBest = this.runMode === 'daily' && !this.debugRun && this.assistSpeed === 1 &&
+            this.recordDailyResult(this.engine.score);
+        
+        // A new personal best becomes the ghost to race next time
+        if (this.beatBestThisRun && this.lastRun) {
+            this.profile.set('ghost', this.lastRun);
+        }
+        
+        // Skins opened up by this run's score or achievements
+        for (let id of this.skins.unlockedIds()) {
+            if (!this.unlockedSkinsAtStart.includes(id)) {
+                const skin = this.skins.get(id);
+                this.showToast({ icon: skin.icon, title: `${skin.name} rocket` }, 'Skin unlocked');
+            }
+        }
+        
+        // The explosion (see the crash handler) plays out over the frozen course
+        // before the overlay comes up; backgroundLoop keeps it moving
+        this.gameOverTimer = setTimeout(() => {
+            this.gameOverTimer = null;
+            document.getElementById('hud').classList.add('hidden');
+            document.getElementById('gameOver').classList.remove('hidden');
+            document.getElementById('finalScore').textContent = this.engine.score;
+            document.getElementById('finalScoreLine').classList.toggle('hidden', versus);
+            document.getElementById('versusResult').classList.toggle('hidden', !versus);
+            if (versus) {
+                this.showVersusResult();
+            }
+            
+            const newRecord = this.runMode === 'daily'
+                ? newDailyBest
+                : this.beatBestThisRun && this.engine.score === this.engine.bestScore;
+            const recordText = this.runMode === 'daily' ? 'New Daily Best!' : 'New Record!';
+            const newRecordEl = document.getElementById('newRecord');
+            newRecordEl.textContent = `🎉 ${recordText}`;
+            newRecordEl.classList.toggle('hidden', !newRecord);
+            this.refreshUpdatePrompt();
+            
+            clearTimeout(this.announceTimer);
+            this.announce(versus
+                ? `Game over. ${document.getElementById('versusScores').textContent}. ${document.getElementById('versusWinner').textContent}`
+                : `Game over. Final score ${this.engine.score}.${newRecord ? ' ' + recordText : ''}`, true);
+            
+            const saveBtn = document.getElementById('saveReplayBtn');
+            saveBtn.disabled = !this.lastRun;
+            saveBtn.textContent = 'Save Replay';
+            
+            // Making the top 10 asks for initials, prefilled with the last ones used
+            const initialsForm = document.getElementById('initialsForm');
+            initialsForm.classList.toggle('hidden', rank < 0);
+            if (rank >= 0) {
+                document.getElementById('leaderboardRank').textContent = `#${rank + 1}`;
+                document.getElementById('leaderboardName').textContent = LEADERBOARD_NAMES[this.recordBoard];
+                const input = document.getElementById('initialsInput');
+                input.value = this.profile.getSetting('initials');
+                input.focus();
+            }
+        }, 1000);
+    }
+
+    saveInitials() {
+        if (!this.recordEntryId) return;
+        
+        const initials = this.records.setInitials(this.recordEntryId, document.getElementById('initialsInput').value);
+        if (!initials) return;
+        
+        this.profile.setSetting('initials', initials);
+        this.recordEntryId = null;
+        document.getElementById('initialsForm').classList.add('hidden');
+    }
+
+    // Queues an unlock toast; toasts show one at a time over the canvas
+    showToast(item, heading = 'Achievement unlocked') {
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.innerHTML = '<span class="toast-icon"></span><div><strong></strong><p></p></div>';
+        toast.querySelector('.toast-icon').textContent = item.icon;
+        toast.querySelector('strong').textContent = heading;
+        toast.querySelector('p').textContent = item.title;
+        
+        const container = document.getElementById('toasts');
+        container.appendChild(toast);
+        toast.addEventListener('animationend', () => toast.remove());
+    }
+
+    showAchievements() {
+        this.gameState = 'menu';
+        this.hideAllOverlays();
+        this.renderAchievements();
+        document.getElementById('achievements').classList.remove('hidden');
+    }
+
+    renderAchievements() {
+        const achievements = this.achievements.list();
+        const unlocked = achievements.filter(a => a.unlockedAt).length;
+        document.getElementById('achievementsSummary').textContent = `${unlocked} / ${achievements.length} unlocked`;
+        
+        const list = document.getElementById('achievementList');
+        list.innerHTML = '';
+        for (let achievement of achievements) {
+            const item = document.createElement('li');
+            item.className = 'achievement';
+            item.classList.toggle('unlocked', !!achievement.unlockedAt);
+            item.innerHTML = '<span class="achievement-icon"></span><div class="achievement-body"><strong></strong>' +
+                '<p></p><div class="achievement-bar"><div></div></div></div>';
+            item.querySelector('.achievement-icon').textContent = achievement.unlockedAt ? achievement.icon : '🔒';
+            item.querySelector('strong').textContent = achievement.title;
+            item.querySelector('p').textContent = achievement.description;
+            
+            const bar = item.querySelector('.achievement-bar');
+            bar.setAttribute('role', 'progressbar');
+            bar.setAttribute('aria-valuemin', 0);
+            bar.setAttribute('aria-valuemax', achievement.goal);
+            bar.setAttribute('aria-valuenow', achievement.progress);
+            bar.title = `${achievement.progress} / ${achievement.goal}`;
+            bar.firstChild.style.width = `${achievement.progress / achievement.goal * 100}%`;
+            
+            list.appendChild(item);
+        }
+    }
+
+    formatDuration(ms) {
+        const seconds = ms / 1000;
+        if (seconds < 60) return `${seconds.toFixed(1)}s`;
+        
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${Math.floor(seconds % 60)}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
+    showRecords() {
+        this.gameState = 'menu';
+        this.hideAllOverlays();
+        this.renderRecords();
+        document.getElementById('records').classList.remove('hidden');
+    }
+
+    renderRecords() {
+        const stats = this.records.getStats();
+        document.getElementById('statRuns').textContent = stats.runs;
+        document.getElementById('statAverage').textContent = stats.averageScore.toFixed(1);
+        document.getElementById('statFlight').textContent = this.formatDuration(stats.flightMs);
+        document.getElementById('statThrusts').textContent = stats.thrusts;
+        
+        document.getElementById('leaderboardEmpty').classList.toggle('hidden', this.records.top.length > 0);
+        this.renderLeaderboard(document.getElementById('leaderboard'), this.records.top);
+        
+        const assistedTop = this.records.assistedTop;
+        document.getElementById('assistedBoard').classList.toggle('hidden', assistedTop.length === 0);
+        this.renderLeaderboard(document.getElementById('assistedLeaderboard'), assistedTop);
+        
+        const tunedTop = this.records.tunedTop;
+        document.getElementById('tunedBoard').classList.toggle('hidden', tunedTop.length === 0);
+        this.renderLeaderboard(document.getElementById('tunedLeaderboard'), tunedTop);
+        
+        const history = document.getElementById('runHistory');
+        history.innerHTML = '';
+        for (let entry of this.records.history) {
+            const item = document.createElement('li');
+            const assist = entry.assistSpeed < 1 ? ` · 🐢 ${Math.round(entry.assistSpeed * 100)}% speed` : '';
+            const preset = DIFFICULTY_PRESETS[entry.difficulty];
+            const difficulty = (preset && entry.difficulty !== 'normal' ? ` · ${preset.label}` : '') +
+                (entry.adaptive ? ' · 🧠 Adaptive' : '');
+            item.textContent = `${new Date(entry.date).toLocaleString()} · Score ${entry.score} · ` +
+                `${this.formatDuration(entry.durationMs)} · Level ${entry.maxLevel} · ${entry.skin}${assist}${difficulty}`;
+            history.appendChild(item);
+        }
+    }
+
+    renderLeaderboard(list, entries) {
+        list.innerHTML = '';
+        for (let entry of entries) {
+            const item = document.createElement('li');
+            const date = entry.date ? new Date(entry.date).toLocaleDateString() : 'earlier';
+            const preset = DIFFICULTY_PRESETS[entry.difficulty];
+            item.innerHTML = '<span class="initials"></span><span class="score"></span><span class="date"></span><span class="preset"></span>';
+            item.querySelector('.initials').textContent = entry.initials || '---';
+            item.querySelector('.score').textContent = entry.score;
+            item.querySelector('.date').textContent = entry.mode === 'daily' ? `📅 ${date}` : date;
+            item.querySelector('.preset').textContent = [
+                preset && entry.difficulty !== 'normal' ? preset.label : '',
+                entry.adaptive ? '🧠' : ''
+            ].join(' ').trim();
+            list.appendChild(item);
+        }
+    }
+
+    setupGhost() {
+        this.ghost = null;
+        if (!this.ghostMode || !this.isStandardRun()) return;
+        
+        const run = this.profile.get('ghost');
+        
+        // The same seed only yields the same course on the same playfield size
+        if (!run || run.width !== this.width || run.height !== this.height) return;
+        
+        try {
+            this.ghost = new ReplayPlayer(run);
+        } catch (e) {
+            console.warn('Could not load ghost run:', e);
+        }
+    }
+
+    updateGhostDelta() {
+        if (!this.ghost) return;
+        
+        const delta = this.engine.score - this.ghost.engine.score;
+        let text = '👻 Even';
+        if (delta > 0) {
+            text = `👻 +${delta} ahead`;
+        } else if (delta < 0) {
+            text = `👻 ${-delta} behind`;
+        }
+        
+        if (text !== this.ghostDeltaText) {
+            this.ghostDeltaText = text;
+            const el = document.getElementById('ghostDelta');
+            el.textContent = text;
+            el.classList.toggle('ahead', delta > 0);
+            el.classList.toggle('behind', delta < 0);
         }
     }
 
-    startGame() {
-        this.gameState = 'playing';
-        this.hideAllOverlays();
-        document.getElementById('hud').classList.remove('hidden');
-        document.getElementById('controls').classList.remove('hidden');
-        
-        // Initialize game state
-        this.score = 0;
-        this.obstacles = [];
-        this.banners = [];
-        this.particles = [];
-        this.startTime = Date.now();
-        this.lastTime = Date.now();
-        this.gameRunning = true;
-        this.inputEnabled = true;
-        
-        // Reset difficulty
-        this.currentSpeed = this.config.baseSpeed;
-        this.currentGap = this.config.baseGap;
-        
-        // Initialize spaceship at proper position
-        this.spaceship = {
-            x: this.width * 0.2,
-            y: this.height * 0.5,
-            vx: 0,
-            vy: 0,
-            rotation: 0,
-            targetRotation: 0,
-            thrusting: false,
-            thrustTime: 0
-        };
-        
-        console.log('Game started - Spaceship position:', this.spaceship.x, this.spaceship.y);
-        
-        this.updateScore();
-        this.gameLoop();
-        
-        // Hide controls after a delay
-        setTimeout(() => {
-            if (this.gameState === 'playing') {
-                document.getElementById('controls').classList.add('hidden');
-            }
-        }, 3000);
+    utcDateKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
     }
 
-    resetGame() {
-        console.log('Resetting game...');
-        
-        // Cancel any running animation frame
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
+    loadDaily() {
+        const daily = this.profile.get('daily');
+        return { streak: daily.streak, lastPlayed: daily.lastPlayed, history: daily.history.slice() };
+    }
+
+    getDailyEntry(date) {
+        return this.loadDaily().history.find(entry => entry.date === date) || { date: date, best: 0, attempts: 0 };
+    }
+
+    // Records a finished daily run; returns true when it beats today's best
+    recordDailyResult(score) {
+        const daily = this.loadDaily();
+        const today = this.dailyDate;
+        
+        if (daily.lastPlayed !== today) {
+            const yesterday = new Date(today + 'T00:00:00Z');
+            yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+            daily.streak = daily.lastPlayed === this.utcDateKey(yesterday) ? daily.streak + 1 : 1;
+            daily.lastPlayed = today;
         }
         
-        // Reset game state
-        this.gameRunning = false;
-        this.inputEnabled = false;
+        let entry = daily.history.find(e => e.date === today);
+        if (!entry) {
+            entry = { date: today, best: 0, attempts: 0 };
+            daily.history.unshift(entry);
+            daily.history = daily.history.slice(0, 30);
+        }
         
-        // Clear all arrays
-        this.obstacles.length = 0;
-        this.banners.length = 0;
-        this.particles.length = 0;
-        
-        // Reset spaceship
-        this.spaceship = {
-            x: 0,
-            y: 0,
-            vx: 0,
-            vy: 0,
-            rotation: 0,
-            targetRotation: 0,
-            thrusting: false,
-            thrustTime: 0
-        };
+        const isBest = score > entry.best;
+        entry.best = Math.max(entry.best, score);
+        entry.attempts++;
         
-        // Hide HUD and controls
-        document.getElementById('hud').classList.add('hidden');
-        document.getElementById('controls').classList.add('hidden');
+        this.profile.set('daily', daily);
         
-        // Start tutorial again
-        this.startTutorial();
+        return isBest;
     }
 
-    updateDifficulty() {
-        const elapsed = Date.now() - this.startTime;
-        
-        if (elapsed > this.config.easyDuration) {
-            const difficultyLevel = Math.floor((elapsed - this.config.easyDuration) / this.config.difficultyInterval);
-            const multiplier = Math.pow(1 + this.config.difficultyIncrease, difficultyLevel);
-            
-            this.currentSpeed = this.config.baseSpeed * multiplier;
-            this.currentGap = Math.max(0.15, this.config.baseGap / multiplier);
+    renderDailyPanel() {
+        const daily = this.loadDaily();
+        const today = this.utcDateKey();
+        const yesterday = new Date();
+        yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+        
+        // A streak only counts while the last daily was today or yesterday
+        const streakAlive = daily.lastPlayed === today || daily.lastPlayed === this.utcDateKey(yesterday);
+        const todayEntry = daily.history.find(entry => entry.date === today);
+        
+        document.getElementById('dailyBest').textContent = todayEntry ? todayEntry.best : '–';
+        document.getElementById('dailyStreak').textContent = streakAlive ? daily.streak : 0;
+        
+        const list = document.getElementById('dailyHistory');
+        list.innerHTML = '';
+        for (let entry of daily.history) {
+            const item = document.createElement('li');
+            item.title = `${entry.date}: best ${entry.best} in ${entry.attempts} ${entry.attempts === 1 ? 'try' : 'tries'}`;
+            item.textContent = `${entry.date.slice(5)} · ${entry.best}`;
+            item.classList.toggle('today', entry.date === today);
+            list.appendChild(item);
         }
     }
 
-    spawnObstacle() {
-        const gapHeight = this.height * this.currentGap;
-        const gapY = Math.random() * (this.height - gapHeight - 100) + 50;
-        
-        // Spawn slice banner occasionally
-        if (Math.random() < this.config.bannerFrequency) {
-            this.spawnBanner(gapY + gapHeight / 2);
+    loadReplays() {
+        return this.profile.get('replays').slice();
+    }
+
+    storeReplays(replays) {
+        return this.profile.set('replays', replays);
+    }
+
+    saveLastRun() {
+        if (!this.lastRun) return;
+        
+        // Newest first, keeping only the most recent few
+        const replays = [this.lastRun, ...this.loadReplays()].slice(0, 10);
+        const saveBtn = document.getElementById('saveReplayBtn');
+        if (this.storeReplays(replays)) {
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Replay Saved ✓';
+        } else {
+            saveBtn.textContent = 'Save Failed';
         }
-        
-        this.obstacles.push({
-            x: this.width,
-            topHeight: gapY,
-            bottomY: gapY + gapHeight,
-            bottomHeight: this.height - (gapY + gapHeight),
-            scored: false,
-            rotation: Math.random() * Math.PI * 2
-        });
     }
 
-    spawnBanner(y) {
-        this.banners.push({
-            x: this.width + 50,
-            y: y,
-            width: 200,
-            height: 40,
-            glow: 0,
-            glowDirection: 1
-        });
+    deleteReplay(index) {
+        const replays = this.loadReplays();
+        replays.splice(index, 1);
+        this.storeReplays(replays);
+        this.renderReplayList();
     }
 
-    checkCollisions() {
-        // Check obstacle collisions only (banners are decorative)
-        for (let obstacle of this.obstacles) {
-            if (this.spaceship.x + 15 > obstacle.x && 
-                this.spaceship.x - 15 < obstacle.x + 50) {
-                
-                if (this.spaceship.y - 15 < obstacle.topHeight || 
-                    this.spaceship.y + 15 > obstacle.bottomY) {
-                    return true;
-                }
+    showReplays() {
+        this.gameState = 'menu';
+        this.hideAllOverlays();
+        this.renderReplayList();
+        document.getElementById('replays').classList.remove('hidden');
+    }
+
+    renderReplayList() {
+        const replays = this.loadReplays();
+        const list = document.getElementById('replayList');
+        list.innerHTML = '';
+        document.getElementById('replaysEmpty').classList.toggle('hidden', replays.length > 0);
+        
+        replays.forEach((run, index) => {
+            const item = document.createElement('li');
+            item.className = 'replay-item';
+            
+            const label = document.createElement('span');
+            const seconds = (run.ticks * run.config.fixedTimestep / 1000).toFixed(1);
+            label.textContent = `Score ${run.score} · ${seconds}s · ${new Date(run.recordedAt).toLocaleDateString()}`;
+            item.appendChild(label);
+            
+            for (let [action, text] of [['watch', '▶ Watch'], ['delete', '🗑']]) {
+                const btn = document.createElement('button');
+                btn.className = `btn btn--sm ${action === 'watch' ? 'btn--primary' : 'btn--outline'}`;
+                btn.dataset.action = action;
+                btn.dataset.index = index;
+                btn.textContent = text;
+                item.appendChild(btn);
             }
+            
+            list.appendChild(item);
+        });
+    }
+
+    startReplay(run) {
+        try {
+            this.replay = new ReplayPlayer(run, {
+                onStep: (engine) => this.updateStarfield(engine.scrollSpeed),
+                onRewind: (replayRun) => this.generateStarfield(replayRun.seed)
+            });
+        } catch (e) {
+            console.warn('Could not load replay:', e);
+            return;
         }
         
-        // Check boundary collisions
-        if (this.spaceship.y - 15 < 0 || this.spaceship.y + 15 > this.height) {
-            return true;
-        }
-        
-        return false;
+        this.gameState = 'replay';
+        this.hideAllOverlays();
+        this.generateStarfield(run.seed);
+        this.particles.clear();
+        this.replayPaused = false;
+        this.accumulator = 0;
+        this.renderAlpha = 1;
+        this.lastTime = performance.now();
+        
+        const scrub = document.getElementById('replayScrub');
+        scrub.max = run.ticks;
+        scrub.value = 0;
+        document.getElementById('replayControls').classList.remove('hidden');
+        this.updateReplayControls();
+        
+        this.replayLoop(this.lastTime);
     }
 
-    updateScore() {
-        document.getElementById('score').textContent = this.score;
+    toggleReplayPause() {
+        if (!this.replay) return;
         
-        if (this.score > this.bestScore) {
-            this.bestScore = this.score;
-            localStorage.setItem('flappyRocketBest', this.bestScore.toString());
-            document.getElementById('best').textContent = this.bestScore;
+        // Playing again from the end restarts the replay
+        if (this.replayPaused && this.replay.finished) {
+            this.replay.rewind();
         }
+        this.replayPaused = !this.replayPaused;
+        this.accumulator = 0;
+        this.updateReplayControls();
     }
 
-    gameOver() {
-        console.log('Game over!');
-        this.gameState = 'gameOver';
-        this.gameRunning = false;
-        this.inputEnabled = false;
+    seekReplay(tick) {
+        if (!this.replay) return;
         
-        // Cancel animation frame
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
-        }
-        
-        this.playSound('crash');
-        
-        // Add crash particles
-        for (let i = 0; i < 20; i++) {
-            this.particles.push({
-                x: this.spaceship.x,
-                y: this.spaceship.y,
-                vx: (Math.random() - 0.5) * 10,
-                vy: (Math.random() - 0.5) * 10,
-                life: 60,
-                maxLife: 60,
-                color: `hsl(${Math.random() * 60 + 10}, 100%, 50%)`
-            });
-        }
-        
-        setTimeout(() => {
-            document.getElementById('hud').classList.add('hidden');
-            document.getElementById('gameOver').classList.remove('hidden');
-            document.getElementById('finalScore').textContent = this.score;
-            
-            const newRecord = this.score === this.bestScore && this.score > 0;
-            document.getElementById('newRecord').classList.toggle('hidden', !newRecord);
-        }, 1000);
+        this.replay.seek(tick);
+        this.accumulator = 0;
+        this.renderAlpha = 1;
+        this.updateReplayControls();
+    }
+
+    updateReplayControls() {
+        const tick = this.replay.tick;
+        const seconds = (ticks) => (ticks * this.replay.run.config.fixedTimestep / 1000).toFixed(1);
+        
+        document.getElementById('replayScrub').value = tick;
+        document.getElementById('replayTime').textContent =
+            `${seconds(tick)}s / ${seconds(this.replay.run.ticks)}s · Score ${this.replay.engine.score}`;
+        document.getElementById('replayPauseBtn').textContent = this.replayPaused ? '▶' : '⏸';
     }
 
     hideAllOverlays() {
@@ -568,264 +2030,533 @@ class FlappyRocket {
         });
     }
 
-    drawNebula() {
-        const time = Date.now() * 0.001;
-        
-        // Create background gradient
-        const gradient = this.ctx.createLinearGradient(0, 0, this.width, this.height);
-        gradient.addColorStop(0, '#1f2121');
+    // Sprite caches are rebuilt lazily after a resize or palette change
+    invalidateSprites() {
+        this.backgroundCanvas = null;
+        this.bannerSprites.clear();
+        this.obstacleSprites = new WeakMap();
+        this.columnCanvasPool.length = 0;
+    }
+
+    // An offscreen canvas at device resolution, drawn in playfield units
+    createSpriteCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(width * this.pixelRatio);
+        canvas.height = Math.ceil(height * this.pixelRatio);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(this.pixelRatio, this.pixelRatio);
+        return { canvas: canvas, ctx: ctx, width: width, height: height };
+    }
+
+    renderBackground() {
+        const sprite = this.createSpriteCanvas(this.width, this.height);
+        const gradient = sprite.ctx.createLinearGradient(0, 0, this.width, this.height);
+        gradient.addColorStop(0, this.colors.background);
         gradient.addColorStop(0.3, this.colors.nebulaPrimary + '40');
         gradient.addColorStop(0.7, this.colors.nebulaSecondary + '60');
-        gradient.addColorStop(1, '#2d1b69');
-        
-        this.ctx.fillStyle = gradient;
-        this.ctx.fillRect(0, 0, this.width, this.height);
+        gradient.addColorStop(1, this.colors.backgroundEnd);
+        sprite.ctx.fillStyle = gradient;
+        sprite.ctx.fillRect(0, 0, this.width, this.height);
+        return sprite.canvas;
+    }
+
+    drawNebula() {
+        if (!this.backgroundCanvas) {
+            this.backgroundCanvas = this.renderBackground();
+        }
+        this.ctx.drawImage(this.backgroundCanvas, 0, 0, this.width, this.height);
         
-        // Draw moving stars
+        // Draw moving stars; lower quality thins them out
         this.ctx.fillStyle = this.colors.starfield;
-        for (let star of this.stars) {
-            if (this.gameState === 'playing') {
-                star.x -= star.speed * this.currentSpeed;
-                if (star.x < -5) {
-                    star.x = this.width + 5;
-                    star.y = Math.random() * this.height;
-                }
-            }
-            
+        const alpha = this.gameState === 'playing' || this.gameState === 'replay' ? this.renderAlpha : 1;
+        for (let i = 0; i < this.stars.length; i += this.quality.starStep) {
+            const star = this.stars[i];
             this.ctx.globalAlpha = star.opacity;
             this.ctx.beginPath();
-            this.ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+            this.ctx.arc(this.lerp(star.prevX, star.x, alpha), star.y, star.size, 0, Math.PI * 2);
             this.ctx.fill();
         }
         this.ctx.globalAlpha = 1;
     }
 
-    drawSpaceship() {
-        if (this.spaceship.x === 0 || this.spaceship.y === 0) {
-            console.warn('Spaceship position not initialized');
-            return;
-        }
+    drawSpaceship(ship, simTime, skinId, opacity = 1) {
+        const alpha = this.renderAlpha;
+        const skin = this.skins.get(skinId);
         
         this.ctx.save();
-        this.ctx.translate(this.spaceship.x, this.spaceship.y);
-        
-        // Smooth rotation based on velocity
-        this.spaceship.targetRotation = Math.max(-0.5, Math.min(0.5, this.spaceship.vy * 0.05));
-        this.spaceship.rotation += (this.spaceship.targetRotation - this.spaceship.rotation) * 0.1;
-        this.ctx.rotate(this.spaceship.rotation);
+        this.ctx.globalAlpha = opacity;
+        this.ctx.translate(ship.x, this.lerp(ship.prevY, ship.y, alpha));
+        this.ctx.rotate(this.lerp(ship.prevRotation, ship.rotation, alpha));
         
         // Draw thruster flames
-        if (this.spaceship.thrusting && Date.now() - this.spaceship.thrustTime < 200) {
-            const flameIntensity = Math.max(0, 1 - (Date.now() - this.spaceship.thrustTime) / 200);
-            this.drawThrusterFlames(flameIntensity);
+        const sinceThrust = simTime - ship.thrustTime;
+        const flameIntensity = Math.max(ship.hold, 1 - sinceThrust / 200);
+        if (flameIntensity > 0) {
+            this.drawThrusterFlames(flameIntensity, skin);
         }
         
         // Draw spaceship body
-        this.drawSpaceshipBody();
+        this.drawSpaceshipBody(skin);
         
         this.ctx.restore();
     }
 
-    drawSpaceshipBody() {
-        const skinColors = {
-            red: '#ff6b6b',
-            blue: '#4ecdc4',
-            gold: '#ffd93d',
-            mystery: `hsl(${Date.now() * 0.1 % 360}, 70%, 60%)`
-        };
+    drawSpaceshipBody(skin, ctx = this.ctx) {
+        // Sprites stand in for the vector body, sized to the collision hull
+        const sprite = this.skins.getSprite(skin);
+        if (sprite) {
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(sprite, -20, -12, 40, 24);
+            ctx.imageSmoothingEnabled = true;
+            return;
+        }
         
-        const color = skinColors[this.selectedSkin] || skinColors.red;
+        const hue = this.reducedMotion ? 280 : Date.now() * 0.1 % 360;
+        const body = skin.cycle ? `hsl(${hue}, 70%, 60%)` : skin.body;
+        const fins = skin.cycle ? body : skin.fins;
         
         // Main body
-        this.ctx.fillStyle = color;
-        this.ctx.beginPath();
-        this.ctx.ellipse(0, 0, 18, 8, 0, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.fillStyle = body;
+        ctx.beginPath();
+        ctx.ellipse(0, 0, 18, 8, 0, 0, Math.PI * 2);
+        ctx.fill();
         
         // Cockpit
-        this.ctx.fillStyle = '#87ceeb';
-        this.ctx.beginPath();
-        this.ctx.ellipse(5, -2, 6, 4, 0, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.fillStyle = skin.cockpit;
+        ctx.beginPath();
+        ctx.ellipse(5, -2, 6, 4, 0, 0, Math.PI * 2);
+        ctx.fill();
         
         // Side fins
-        this.ctx.fillStyle = color;
-        this.ctx.fillRect(-12, -8, 8, 3);
-        this.ctx.fillRect(-12, 5, 8, 3);
+        ctx.fillStyle = fins;
+        ctx.fillRect(-12, -8, 8, 3);
+        ctx.fillRect(-12, 5, 8, 3);
         
         // Outline for visibility
-        this.ctx.strokeStyle = '#ffffff';
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
-        this.ctx.ellipse(0, 0, 18, 8, 0, 0, Math.PI * 2);
-        this.ctx.stroke();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.ellipse(0, 0, 18, 8, 0, 0, Math.PI * 2);
+        ctx.stroke();
     }
 
-    drawThrusterFlames(intensity) {
+    drawThrusterFlames(intensity, skin, ctx = this.ctx) {
         const time = Date.now() * 0.01;
+        const flame = this.skins.flame(skin);
         
-        for (let i = 0; i < 3; i++) {
+        for (let i = 0; i < this.quality.flames; i++) {
             const flameX = -15 - Math.random() * 5;
             const flameY = (Math.random() - 0.5) * 6;
             const flameSize = (Math.random() * 8 + 4) * intensity;
             
-            const hue = 15 + Math.sin(time + i) * 15;
-            this.ctx.fillStyle = `hsl(${hue}, 100%, ${60 * intensity}%)`;
+            const hue = flame.hue + Math.sin(time + i) * flame.spread;
+            ctx.fillStyle = `hsl(${hue}, ${flame.saturation}%, ${flame.lightness * intensity}%)`;
             
-            this.ctx.beginPath();
-            this.ctx.ellipse(flameX, flameY, flameSize, flameSize * 0.6, 0, 0, Math.PI * 2);
-            this.ctx.fill();
+            ctx.beginPath();
+            ctx.ellipse(flameX, flameY, flameSize, flameSize * 0.6, 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    // Exhaust hangs in place as the course scrolls; a skin's trail overrides the preset
+    emitTrail(ship, skin, player = 0) {
+        if (!this.quality.trails) return;
+        
+        const angle = ship.rotation;
+        this.particles.stream('exhaust', ship.x - Math.cos(angle) * 20, ship.y - Math.sin(angle) * 20,
+            Object.assign({ direction: angle + Math.PI, vx: -this.engine.scrollSpeed, timer: `exhaust${player}` }, skin.trail));
+    }
+
+    // Debris, plus a shockwave unless motion is reduced
+    explode(ship) {
+        this.particles.emit('debris', ship.x, ship.y);
+        if (!this.reducedMotion) {
+            this.particles.emit('shockwave', ship.x, ship.y);
+        }
+    }
+
+    // Higher score wins; a tie goes to whoever stayed up longer
+    showVersusResult() {
+        const [one, two] = this.engine.players;
+        let winner = null;
+        if (one.score !== two.score) {
+            winner = one.score > two.score ? 0 : 1;
+        } else if (one.crashTick !== two.crashTick) {
+            winner = one.crashTick > two.crashTick ? 0 : 1;
         }
+        
+        document.getElementById('versusScores').textContent = this.engine.players
+            .map((player, index) => `${this.skins.get(this.playerSkins[index]).icon} Player ${index + 1}: ${player.score}`)
+            .join(' · ');
+        document.getElementById('versusWinner').textContent = winner === null
+            ? '🤝 It\'s a draw!'
+            : `🏆 Player ${winner + 1} wins!`;
     }
 
-    drawObstacles() {
-        for (let obstacle of this.obstacles) {
+    drawObstacles(engine) {
+        let sprites = this.obstacleSprites.get(engine);
+        if (!sprites) {
+            sprites = new Map();
+            this.obstacleSprites.set(engine, sprites);
+        }
+        
+        const live = new Set();
+        for (let obstacle of engine.obstacles) {
+            live.add(obstacle.serial);
+            const x = this.lerp(obstacle.prevX, obstacle.x, this.renderAlpha);
+            const shapes = engine.getObstacleShapes(obstacle);
             this.ctx.save();
+            this.ctx.translate(x - obstacle.x, 0);
             
-            // Draw top asteroid
-            this.ctx.fillStyle = this.colors.asteroid;
-            this.ctx.fillRect(obstacle.x, 0, 50, obstacle.topHeight);
+            let sprite = sprites.get(obstacle.serial);
+            if (!sprite) {
+                sprite = this.renderObstacleSprite(obstacle, shapes, engine.height);
+                sprites.set(obstacle.serial, sprite);
+            }
             
-            // Draw bottom asteroid
-            this.ctx.fillRect(obstacle.x, obstacle.bottomY, 50, obstacle.bottomHeight);
+            // Rock columns, traced from the same polygons used for collisions;
+            // drifting gaps reshape every tick, so only still ones come from the sprite
+            if (sprite.columns) {
+                this.ctx.drawImage(sprite.columns.canvas, obstacle.x - sprite.offsetX, 0,
+                    sprite.columns.width, sprite.columns.height);
+            } else {
+                for (let i = 0; i < 2; i++) {
+                    this.drawRock(this.ctx, shapes[i], this.colors.asteroid, this.colors.asteroidGlow, 3);
+                }
+            }
             
-            // Add bright white outline for visibility
-            this.ctx.strokeStyle = this.colors.asteroidGlow;
-            this.ctx.lineWidth = 3;
-            this.ctx.strokeRect(obstacle.x, 0, 50, obstacle.topHeight);
-            this.ctx.strokeRect(obstacle.x, obstacle.bottomY, 50, obstacle.bottomHeight);
+            // Rotating boulders embedded in the columns
+            obstacle.boulders.forEach((boulder, index) => {
+                const y = boulder.column === 'top'
+                    ? obstacle.topHeight - boulder.depth
+                    : obstacle.bottomY + boulder.depth;
+                if (y - boulder.radius < 0 || y + boulder.radius > engine.height) return;
+                
+                const image = sprite.boulders[index];
+                this.ctx.save();
+                this.ctx.translate(obstacle.x + boulder.offsetX, y);
+                this.ctx.rotate(obstacle.rotation * boulder.spin);
+                this.ctx.drawImage(image.canvas, -image.width / 2, -image.height / 2, image.width, image.height);
+                this.ctx.restore();
+            });
             
-            // Add inner shadow for depth
-            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-            this.ctx.fillRect(obstacle.x + 2, 2, 46, obstacle.topHeight - 4);
-            this.ctx.fillRect(obstacle.x + 2, obstacle.bottomY + 2, 46, obstacle.bottomHeight - 4);
+            // Free boulder orbiting inside the gap
+            if (obstacle.orbit) {
+                this.drawRock(this.ctx, shapes[2], this.colors.asteroid, this.colors.asteroidGlow, 2);
+            }
             
             this.ctx.restore();
         }
+        
+        // Obstacles that scrolled off hand their column canvases back for reuse
+        for (let [serial, sprite] of sprites) {
+            if (live.has(serial)) continue;
+            if (sprite.columns) {
+                this.columnCanvasPool.push(sprite.columns);
+            }
+            sprites.delete(serial);
+        }
     }
 
-    drawBanners() {
-        for (let banner of this.banners) {
-            this.ctx.save();
-            this.ctx.translate(banner.x, banner.y);
-            
-            // Animate glow
-            banner.glow += banner.glowDirection * 2;
-            if (banner.glow > 20 || banner.glow < 0) {
-                banner.glowDirection *= -1;
+    renderObstacleSprite(obstacle, shapes, height) {
+        const pad = 4; // room for the outline stroke
+        const sprite = { columns: null, offsetX: pad, boulders: [] };
+        
+        if (!obstacle.drift) {
+            const width = obstacle.width + pad * 2;
+            let columns = this.columnCanvasPool.pop();
+            if (!columns || columns.width !== width || columns.height !== height) {
+                columns = this.createSpriteCanvas(width, height);
             }
+            const ctx = columns.ctx;
+            ctx.clearRect(0, 0, width, height);
+            ctx.save();
+            ctx.translate(pad - obstacle.x, 0);
+            for (let i = 0; i < 2; i++) {
+                this.drawRock(ctx, shapes[i], this.colors.asteroid, this.colors.asteroidGlow, 3);
+            }
+            ctx.restore();
+            sprite.columns = columns;
+        }
+        
+        for (let boulder of obstacle.boulders) {
+            const size = (boulder.radius + 4) * 2;
+            const image = this.createSpriteCanvas(size, size);
+            image.ctx.translate(size / 2, size / 2);
+            this.drawRock(image.ctx, boulder.points, 'rgba(0, 0, 0, 0.3)', 'rgba(255, 255, 255, 0.35)', 1.5);
+            sprite.boulders.push(image);
+        }
+        return sprite;
+    }
+
+    drawRock(ctx, points, fill, stroke, lineWidth) {
+        this.traceRock(points, ctx);
+        ctx.fillStyle = fill;
+        ctx.fill();
+        ctx.strokeStyle = stroke;
+        ctx.lineWidth = lineWidth;
+        ctx.stroke();
+    }
+
+    drawCollectibles(engine) {
+        const alpha = this.renderAlpha;
+        const pulse = this.reducedMotion ? 1 : 1 + Math.sin(engine.simTime * 0.008) * 0.1;
+        
+        // Bonus orbs
+        for (let orb of engine.orbs) {
+            this.ctx.save();
+            this.ctx.fillStyle = '#ffd93d';
+            this.ctx.shadowColor = '#ffd93d';
+            this.ctx.shadowBlur = this.quality.shadows ? 8 : 0;
+            this.ctx.beginPath();
+            this.ctx.arc(this.lerp(orb.prevX, orb.x, alpha), this.lerp(orb.prevY, orb.y, alpha), 5, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.restore();
+        }
+        
+        // Power-up pickups
+        for (let pickup of engine.pickups) {
+            const style = this.powerUpStyles[pickup.type];
+            const x = this.lerp(pickup.prevX, pickup.x, alpha);
             
-            // Draw banner background with glow
-            const gradient = this.ctx.createLinearGradient(-100, -20, 100, 20);
-            gradient.addColorStop(0, this.colors.sliceBanner + '80');
-            gradient.addColorStop(0.5, this.colors.sliceBanner + 'ff');
-            gradient.addColorStop(1, this.colors.sliceBanner + '80');
-            
-            this.ctx.fillStyle = gradient;
-            this.ctx.fillRect(-100, -20, 200, 40);
-            
-            // Glow effect
-            this.ctx.shadowColor = this.colors.sliceBanner;
-            this.ctx.shadowBlur = banner.glow;
-            this.ctx.fillRect(-100, -20, 200, 40);
+            this.ctx.save();
+            this.ctx.translate(x, pickup.y);
+            this.ctx.scale(pulse, pulse);
+            this.ctx.fillStyle = style.color + '40';
+            this.ctx.strokeStyle = style.color;
+            this.ctx.lineWidth = 2;
+            this.ctx.shadowColor = style.color;
+            this.ctx.shadowBlur = this.quality.shadows ? 12 : 0;
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, 14, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
             
-            // Reset shadow
             this.ctx.shadowBlur = 0;
-            
-            // Draw text
             this.ctx.fillStyle = '#ffffff';
-            this.ctx.font = 'bold 16px sans-serif';
+            this.ctx.font = 'bold 14px sans-serif';
             this.ctx.textAlign = 'center';
             this.ctx.textBaseline = 'middle';
-            this.ctx.fillText('slice Credit Card', 0, 0);
-            
+            this.ctx.fillText(style.icon, 0, 1);
             this.ctx.restore();
         }
     }
 
-    drawParticles() {
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            
-            particle.x += particle.vx;
-            particle.y += particle.vy;
-            particle.vy += 0.2; // gravity
-            particle.life--;
-            
-            if (particle.life <= 0) {
-                this.particles.splice(i, 1);
-                continue;
+    drawPowerUpEffects(engine, player = engine.players[0]) {
+        const ship = player.spaceship;
+        const powerUps = player.powerUps;
+        const x = ship.x;
+        const y = this.lerp(ship.prevY, ship.y, this.renderAlpha);
+        const time = engine.simTime;
+        
+        this.ctx.save();
+        
+        // Slow-mo: fading afterimages behind the rocket
+        if (powerUps.slowMo > 0) {
+            this.ctx.fillStyle = this.powerUpStyles.slowMo.color;
+            for (let i = 1; i <= 3; i++) {
+                this.ctx.globalAlpha = 0.25 / i;
+                this.ctx.beginPath();
+                this.ctx.ellipse(x - i * 10, y, 18, 8, ship.rotation, 0, Math.PI * 2);
+                this.ctx.fill();
             }
-            
-            const alpha = particle.life / particle.maxLife;
-            this.ctx.fillStyle = particle.color.replace(')', `, ${alpha})`).replace('hsl', 'hsla');
-            this.ctx.beginPath();
-            this.ctx.arc(particle.x, particle.y, 3, 0, Math.PI * 2);
-            this.ctx.fill();
+            this.ctx.globalAlpha = 1;
         }
-    }
-
-    update() {
-        if (!this.gameRunning || this.gameState !== 'playing') return;
         
-        const now = Date.now();
-        const deltaTime = Math.min(20, now - this.lastTime);
-        this.lastTime = now;
-        
-        // Update difficulty
-        this.updateDifficulty();
+        // Magnet: slowly turning dashed field ring
+        if (powerUps.magnet > 0) {
+            this.ctx.strokeStyle = this.powerUpStyles.magnet.color + '55';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 10]);
+            this.ctx.lineDashOffset = this.reducedMotion ? 0 : -time * 0.02;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, 40, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
         
-        // Update spaceship physics
-        this.spaceship.vy += 0.5; // gravity
-        this.spaceship.vy = Math.max(-12, Math.min(12, this.spaceship.vy));
-        this.spaceship.y += this.spaceship.vy;
+        // Shield: bubble that flickers in its last two seconds (fades instead with reduced motion)
+        const shieldBlink = this.reducedMotion || powerUps.shield > 2000 || Math.floor(time / 150) % 2 === 0;
+        if (powerUps.shield > 0 && shieldBlink) {
+            this.ctx.globalAlpha = this.reducedMotion ? Math.min(1, powerUps.shield / 2000 * 0.6 + 0.4) : 1;
+            const color = this.powerUpStyles.shield.color;
+            this.ctx.fillStyle = color + '26';
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 2;
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = this.quality.shadows ? 10 : 0;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, 26, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+            this.ctx.shadowBlur = 0;
+            this.ctx.globalAlpha = 1;
+        }
         
-        this.spaceship.thrusting = false;
+        // Multiplier: gold badge riding above the rocket
+        if (powerUps.multiplier > 0) {
+            this.ctx.fillStyle = this.powerUpStyles.multiplier.color;
+            this.ctx.font = 'bold 12px sans-serif';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(this.powerUpStyles.multiplier.icon, x, y - 22);
+        }
         
-        // Update obstacles
-        for (let i = this.obstacles.length - 1; i >= 0; i--) {
-            const obstacle = this.obstacles[i];
-            obstacle.x -= this.currentSpeed;
-            obstacle.rotation += 0.02;
-            
-            // Score when passing obstacle
-            if (!obstacle.scored && obstacle.x + 50 < this.spaceship.x) {
-                obstacle.scored = true;
-                this.score++;
-                this.updateScore();
-                this.playSound('score');
+        this.ctx.restore();
+    }
+
+    traceRock(points, ctx = this.ctx) {
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        ctx.closePath();
+    }
+
+    drawBanners(engine) {
+        for (let banner of engine.banners) {
+            // Campaigns are assigned on first sight; only live banners count toward caps
+            if (!banner.meta) {
+                const campaign = engine === this.engine ? this.campaigns.serve() : this.campaigns.pick();
+                banner.meta = { campaign: campaign, seen: false };
             }
             
-            // Remove off-screen obstacles
-            if (obstacle.x < -100) {
-                this.obstacles.splice(i, 1);
+            const campaign = banner.meta.campaign;
+            if (!campaign) continue;
+            
+            const sprite = this.getBannerSprite(campaign);
+            const x = this.lerp(banner.prevX, banner.x, this.renderAlpha);
+            
+            // Pulsing glow: the pre-blurred halo faded in and out
+            if (this.quality.shadows) {
+                this.ctx.globalAlpha = this.reducedMotion ? 0.5 : banner.glow / 20;
+                this.ctx.drawImage(sprite.glow.canvas, x - sprite.glow.width / 2, banner.y - sprite.glow.height / 2,
+                    sprite.glow.width, sprite.glow.height);
+                this.ctx.globalAlpha = 1;
             }
+            this.ctx.drawImage(sprite.card.canvas, x - 100, banner.y - 20, 200, 40);
         }
-        
-        // Update banners (decorative only)
-        for (let i = this.banners.length - 1; i >= 0; i--) {
-            const banner = this.banners[i];
-            banner.x -= this.currentSpeed * 0.8; // Slightly slower than obstacles
+    }
+
+    // Each campaign's card and glow are drawn once, and again once its logo loads
+    getBannerSprite(campaign) {
+        const image = this.campaigns.getImage(campaign);
+        const cached = this.bannerSprites.get(campaign.id);
+        if (cached && cached.image === image) return cached;
+        
+        const colors = campaign.colors;
+        const card = this.createSpriteCanvas(200, 40);
+        const ctx = card.ctx;
+        const gradient = ctx.createLinearGradient(0, 0, 200, 40);
+        gradient.addColorStop(0, colors.background + '80');
+        gradient.addColorStop(0.5, colors.background + 'ff');
+        gradient.addColorStop(1, colors.background + '80');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 200, 40);
+        
+        // Optional logo on the left, text centred in the remaining space
+        let textX = 100;
+        if (image) {
+            const logoHeight = 28;
+            const logoWidth = Math.min(60, image.naturalWidth * logoHeight / image.naturalHeight);
+            ctx.drawImage(image, 6, 20 - logoHeight / 2, logoWidth, logoHeight);
+            textX = 100 + (logoWidth + 6) / 2;
+        }
+        ctx.fillStyle = colors.text;
+        ctx.font = 'bold 16px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(campaign.text, textX, 20, 188 - (textX - 100) * 2);
+        
+        const blur = 20;
+        const glow = this.createSpriteCanvas(200 + blur * 4, 40 + blur * 4);
+        glow.ctx.shadowColor = colors.glow;
+        glow.ctx.shadowBlur = blur;
+        glow.ctx.fillStyle = colors.glow;
+        glow.ctx.fillRect(blur * 2, blur * 2, 200, 40);
+        
+        const sprite = { card: card, glow: glow, image: image };
+        this.bannerSprites.set(campaign.id, sprite);
+        return sprite;
+    }
+
+    trackBannerExposure() {
+        for (let banner of this.engine.banners) {
+            const meta = banner.meta;
+            if (!meta || !meta.campaign) continue;
             
-            if (banner.x < -250) {
-                this.banners.splice(i, 1);
+            const onScreen = banner.x - banner.width / 2 < this.width && banner.x + banner.width / 2 > 0;
+            if (!onScreen) continue;
+            
+            if (!meta.seen) {
+                meta.seen = true;
+                this.campaigns.recordImpression(meta.campaign.id);
             }
+            this.campaigns.recordVisibleTime(meta.campaign.id, this.config.fixedTimestep);
         }
+    }
+
+    lerp(from, to, t) {
+        return from + (to - from) * t;
+    }
+
+    // Advances the simulation and visual effects by one fixed tick
+    update() {
+        if (!this.gameRunning || this.gameState !== 'playing') return;
         
-        // Spawn new obstacles
-        if (this.obstacles.length === 0 || this.obstacles[this.obstacles.length - 1].x < this.width - 200) {
-            this.spawnObstacle();
-        }
+        const hold = this.controlScheme === 'hold' && this.inputEnabled;
+        this.engine.step(this.pendingThrusts.map((thrust, player) => ({
+            thrust: thrust,
+            hold: hold ? this.holdFor(player) : 0
+        })));
+        this.pendingThrusts.fill(false);
         
-        // Check collisions
-        if (this.checkCollisions()) {
-            this.gameOver();
-            return;
+        if (this.ghost) {
+            this.ghost.advance();
+            this.updateGhostDelta();
         }
         
-        // Limit particles
-        if (this.particles.length > this.config.maxParticles) {
-            this.particles.splice(0, this.particles.length - this.config.maxParticles);
+        this.updateStarfield(this.engine.scrollSpeed);
+        this.engine.players.forEach((player, index) => {
+            if (!player.crashed) {
+                this.emitTrail(player.spaceship, this.skins.get(this.playerSkins[index]), index);
+            }
+        });
+        this.particles.update();
+        this.updatePowerUpHud();
+        this.updateCourseHud();
+        this.trackBannerExposure();
+    }
+
+    updateCourseHud() {
+        if (!this.engine.course) return;
+        
+        const text = `⏱ ${(this.engine.courseTime / 1000).toFixed(1)}s${this.engine.hits ? ` · 💥 ${this.engine.hits}` : ''}`;
+        if (text !== this.courseHudText) {
+            this.courseHudText = text;
+            document.getElementById('courseTime').textContent = text;
+        }
+    }
+
+    updatePowerUpHud() {
+        const describe = (powerUps) => Object.keys(powerUps)
+            .filter(type => powerUps[type] > 0)
+            .map(type => `${this.powerUpStyles[type].icon} ${Math.ceil(powerUps[type] / 1000)}s`)
+            .join('  ');
+        const players = this.engine.players;
+        const text = players.length > 1
+            ? players.map((player, index) => {
+                const active = describe(player.powerUps);
+                return active && `P${index + 1} ${active}`;
+            }).filter(Boolean).join(' · ')
+            : describe(players[0].powerUps);
+        
+        // Only touch the DOM when the visible countdown changes
+        if (text !== this.powerUpHudText) {
+            this.powerUpHudText = text;
+            const el = document.getElementById('powerUpTimers');
+            el.textContent = text;
+            el.classList.toggle('hidden', !text);
         }
     }
 
@@ -836,27 +2567,161 @@ class FlappyRocket {
         // Draw background
         this.drawNebula();
         
-        if (this.gameState === 'playing') {
-            // Draw game objects
-            this.drawObstacles();
-            this.drawBanners();
-            this.drawSpaceship();
-            this.drawParticles();
+        const state = this.gameState;
+        if (state === 'playing' || state === 'paused' || state === 'gameOver' || state === 'courseComplete') {
+            // Draw game objects; after a crash a rocket is gone and only its debris remains
+            this.drawObstacles(this.engine);
+            this.drawBanners(this.engine);
+            if (this.ghost && !this.ghost.engine.crashed) {
+                const ghostEngine = this.ghost.engine;
+                this.drawSpaceship(ghostEngine.spaceship, ghostEngine.simTime, this.ghost.run.skin, 0.35);
+            }
+            this.drawCollectibles(this.engine);
+            if (this.engine.course) {
+                this.drawCourseFinish(this.engine);
+            }
+            this.engine.players.forEach((player, index) => {
+                if (player.crashed) return;
+                this.drawSpaceship(player.spaceship, this.engine.simTime, this.playerSkins[index], this.getShipOpacity(player));
+                this.drawPowerUpEffects(this.engine, player);
+            });
+            this.particles.draw(this.ctx);
+            this.debug.drawHitboxes(this.ctx, this.engine);
+        } else if (this.gameState === 'replay' && this.replay) {
+            const engine = this.replay.engine;
+            
+            // Recorded runs keep their own playfield size; fit it to the screen
+            const scale = Math.min(this.width / engine.width, this.height / engine.height);
+            this.ctx.save();
+            this.ctx.translate((this.width - engine.width * scale) / 2, (this.height - engine.height * scale) / 2);
+            this.ctx.scale(scale, scale);
+            this.drawObstacles(engine);
+            this.drawBanners(engine);
+            this.drawCollectibles(engine);
+            this.drawSpaceship(engine.spaceship, engine.simTime, this.replay.run.skin, this.getShipOpacity(engine));
+            this.drawPowerUpEffects(engine);
+            if (engine.course) {
+                this.drawCourseFinish(engine);
+            }
+            this.debug.drawHitboxes(this.ctx, engine);
+            this.ctx.restore();
+        } else if (state === 'editor') {
+            this.editor.draw(this.ctx);
+        }
+        
+        this.drawLetterbox();
+    }
+
+    // The finish line scrolls in with the course, blended between ticks like everything else
+    drawCourseFinish(engine) {
+        const distance = engine.distance - (engine.running ? engine.scrollSpeed * (1 - this.renderAlpha) : 0);
+        const x = engine.spaceship.x + engine.course.length - distance;
+        if (x < this.width + 6) {
+            drawFinishLine(this.ctx, x, engine.height);
+        }
+    }
+
+    // Bars over whatever spilled outside the playfield
+    drawLetterbox() {
+        const { offsetX, offsetY } = this.viewport;
+        if (offsetX < 0.5 && offsetY < 0.5) return;
+        
+        const dpr = this.devicePixelRatio;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, width, Math.ceil(offsetY * dpr));
+        this.ctx.fillRect(0, height - Math.ceil(offsetY * dpr), width, Math.ceil(offsetY * dpr));
+        this.ctx.fillRect(0, 0, Math.ceil(offsetX * dpr), height);
+        this.ctx.fillRect(width - Math.ceil(offsetX * dpr), 0, Math.ceil(offsetX * dpr), height);
+        this.ctx.restore();
+    }
+
+    // Blink while the post-shield grace period lasts; takes a player, or an engine for player one
+    getShipOpacity(player) {
+        if (player.invulnerableTime > 0 && Math.floor(player.invulnerableTime / 100) % 2 === 0) {
+            return 0.4;
         }
+        return 1;
     }
 
-    backgroundLoop() {
+    backgroundLoop(timestamp = performance.now()) {
+        const frameMs = Math.min(this.config.maxFrameTime, timestamp - (this.lastBackgroundTime || timestamp));
+        this.lastBackgroundTime = timestamp;
+        
+        // Only gameplay frames are representative of the load the quality level is for
+        this.frameMonitor.sample(timestamp, this.gameState === 'playing' || this.gameState === 'replay');
+        this.debug.sample(frameMs);
+        this.debug.renderStats(timestamp, this.gameState === 'replay' && this.replay ? this.replay.engine : this.engine, {
+            quality: this.frameMonitor.level,
+            particles: this.particles.particles.length
+        });
+        
+        // The game loop has stopped, so the crash and finish effects run on frame time here
+        if ((this.gameState === 'gameOver' || this.gameState === 'courseComplete') && this.particles.particles.length) {
+            this.particles.update(frameMs / this.config.fixedTimestep);
+        }
+        
+        // Gamepads are polled here since this loop runs in every state
+        this.input.poll();
+        
+        if (this.gameState === 'menu' && !document.getElementById('menu').classList.contains('hidden')) {
+            this.drawSkinPreviews();
+        }
+        
         // Always draw the background
         this.draw();
-        requestAnimationFrame(() => this.backgroundLoop());
+        requestAnimationFrame((t) => this.backgroundLoop(t));
     }
 
-    gameLoop() {
-        if (this.gameState === 'playing' && this.gameRunning) {
+    gameLoop(timestamp) {
+        if (this.gameState !== 'playing' || !this.gameRunning) return;
+        
+        const step = this.config.fixedTimestep;
+        const frameTime = Math.min(this.config.maxFrameTime, Math.max(0, timestamp - this.lastTime));
+        this.lastTime = timestamp;
+        // Assist speed and debug slow motion slow the clock feeding fixed ticks, so runs
+        // stay deterministic; a frozen debug clock only moves by stepFrame()
+        this.accumulator += this.debug.frozen ? 0 : frameTime * this.assistSpeed * this.debug.timeScale;
+        
+        // Run as many fixed ticks as the elapsed frame time covers
+        while (this.accumulator >= step && this.gameRunning) {
             this.update();
+            this.accumulator -= step;
+        }
+        
+        // Leftover time blends rendering between the last two ticks
+        this.renderAlpha = this.gameRunning ? this.accumulator / step : 1;
+        
+        if (this.gameRunning) {
+            this.animationFrameId = requestAnimationFrame((t) => this.gameLoop(t));
+        }
+    }
+
+    replayLoop(timestamp) {
+        if (this.gameState !== 'replay' || !this.replay) return;
+        
+        const step = this.config.fixedTimestep;
+        const frameTime = Math.min(this.config.maxFrameTime, Math.max(0, timestamp - this.lastTime));
+        this.lastTime = timestamp;
+        
+        if (!this.replayPaused) {
+            this.accumulator += frameTime * this.replaySpeed;
+            while (this.accumulator >= step && this.replay.advance()) {
+                this.accumulator -= step;
+            }
             
-            this.animationFrameId = requestAnimationFrame(() => this.gameLoop());
+            if (this.replay.finished) {
+                this.replayPaused = true;
+                this.accumulator = 0;
+            }
+            this.updateReplayControls();
         }
+        
+        this.renderAlpha = this.replayPaused ? 1 : this.accumulator / step;
+        this.animationFrameId = requestAnimationFrame((t) => this.replayLoop(t));
     }
 }
 
@@ -0,0 +1,271 @@
+// Flappy Rocket — Nebula Edition
+// Procedural audio on Web Audio: master/music/SFX buses, data-defined sound
+// effects and a generative ambient track that builds up with difficulty
+
+// wave/frequency: tone oscillator (omit frequency for noise only)
+// sweepTo/sweepTime: exponential pitch sweep; attack/decay: envelope in seconds
+// noise: optional filtered white-noise burst layered under the tone
+const SOUND_EFFECTS = {
+    thrust: { wave: 'sine', frequency: 440, sweepTo: 520, sweepTime: 0.08, attack: 0.005, decay: 0.1, volume: 0.1,
+        noise: { volume: 0.05, decay: 0.08, filter: 'bandpass', cutoff: 1800 } },
+    score: { wave: 'sine', frequency: 880, sweepTo: 1320, sweepTime: 0.05, attack: 0.005, decay: 0.2, volume: 0.1 },
+    orb: { wave: 'triangle', frequency: 1320, sweepTo: 1760, sweepTime: 0.04, attack: 0.002, decay: 0.12, volume: 0.08 },
+    powerUp: { wave: 'triangle', frequency: 520, sweepTo: 1040, sweepTime: 0.15, attack: 0.01, decay: 0.25, volume: 0.12 },
+    shieldHit: { wave: 'square', frequency: 300, sweepTo: 150, sweepTime: 0.2, attack: 0.005, decay: 0.25, volume: 0.08,
+        noise: { volume: 0.12, decay: 0.15, filter: 'highpass', cutoff: 2000 } },
+    finish: { wave: 'triangle', frequency: 660, sweepTo: 1320, sweepTime: 0.3, attack: 0.01, decay: 0.5, volume: 0.12 },
+    crash: { wave: 'sawtooth', frequency: 220, sweepTo: 55, sweepTime: 0.4, attack: 0.005, decay: 0.4, volume: 0.2,
+        noise: { volume: 0.3, decay: 0.6, filter: 'lowpass', cutoff: 900 } }
+};
+
+// Music layers fade in once the difficulty level reaches minLevel
+const MUSIC_LAYERS = [
+    { id: 'pad', minLevel: 0, volume: 0.35 },
+    { id: 'bass', minLevel: 1, volume: 0.4 },
+    { id: 'arp', minLevel: 2, volume: 0.18 },
+    { id: 'hats', minLevel: 3, volume: 0.12 }
+];
+
+// A minor progression (semitones from A2) and the pentatonic scale the arp draws on
+const MUSIC_CHORDS = [[0, 3, 7], [-4, 0, 3], [3, 7, 10], [-2, 2, 5]];
+const MUSIC_SCALE = [0, 3, 5, 7, 10];
+const MUSIC_ROOT = 110;
+const MUSIC_STEPS_PER_CHORD = 16;
+
+class AudioEngine {
+    constructor(options = {}) {
+        this.volumes = Object.assign({ master: 0.8, music: 0.6, sfx: 0.8 }, options.volumes);
+        this.muted = !!options.muted;
+        this.musicTimer = null;
+        this.level = 0;
+        
+        try {
+            this.context = new (window.AudioContext || window.webkitAudioContext)();
+        } catch (e) {
+            console.warn('Web Audio API not supported');
+            this.context = null;
+            return;
+        }
+        
+        const ctx = this.context;
+        this.master = ctx.createGain();
+        this.duckGain = ctx.createGain();
+        this.music = ctx.createGain();
+        this.sfx = ctx.createGain();
+        this.music.connect(this.duckGain);
+        this.sfx.connect(this.duckGain);
+        this.duckGain.connect(this.master);
+        this.master.connect(ctx.destination);
+        
+        this.layers = {};
+        for (let layer of MUSIC_LAYERS) {
+            const gain = ctx.createGain();
+            gain.gain.value = 0;
+            gain.connect(this.music);
+            this.layers[layer.id] = gain;
+        }
+        
+        this.noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const samples = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+        
+        this.applyVolumes();
+        
+        // iOS moves the context to "interrupted" on calls and app switches; our
+        // own suspends are expected and not worth a warning
+        ctx.onstatechange = () => {
+            if (ctx.state === 'interrupted' || ctx.state === 'closed') {
+                console.warn('Audio context', ctx.state);
+            }
+        };
+    }
+
+    get running() {
+        return !!this.context && this.context.state === 'running';
+    }
+
+    // Contexts start suspended until a user gesture; call from input handlers
+    unlock() {
+        if (this.context && this.context.state !== 'running' && !document.hidden) {
+            this.context.resume().catch(e => console.warn('Could not resume audio:', e));
+        }
+    }
+
+    suspend() {
+        if (this.running) {
+            this.context.suspend().catch(e => console.warn('Could not suspend audio:', e));
+        }
+    }
+
+    setVolume(bus, value) {
+        this.volumes[bus] = value;
+        this.applyVolumes();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+        
+        const now = this.context.currentTime;
+        this.master.gain.setTargetAtTime(this.muted ? 0 : this.volumes.master, now, 0.02);
+        this.music.gain.setTargetAtTime(this.volumes.music, now, 0.02);
+        this.sfx.gain.setTargetAtTime(this.volumes.sfx, now, 0.02);
+    }
+
+    // Pulls everything down to a murmur while paused
+    duck(ducked) {
+        if (!this.context) return;
+        this.duckGain.gain.setTargetAtTime(ducked ? 0.2 : 1, this.context.currentTime, 0.15);
+    }
+
+    play(type) {
+        const sound = SOUND_EFFECTS[type];
+        if (!sound || !this.running) return;
+        
+        try {
+            const ctx = this.context;
+            const start = ctx.currentTime;
+            const end = start + sound.attack + sound.decay;
+            
+            if (sound.frequency) {
+                const oscillator = ctx.createOscillator();
+                const gain = ctx.createGain();
+                oscillator.type = sound.wave;
+                oscillator.frequency.setValueAtTime(sound.frequency, start);
+                if (sound.sweepTo) {
+                    oscillator.frequency.exponentialRampToValueAtTime(sound.sweepTo, start + sound.sweepTime);
+                }
+                this.envelope(gain.gain, start, sound.attack, sound.decay, sound.volume);
+                oscillator.connect(gain);
+                gain.connect(this.sfx);
+                oscillator.start(start);
+                oscillator.stop(end);
+            }
+            
+            if (sound.noise) {
+                this.playNoise(this.sfx, start, sound.noise);
+            }
+        } catch (e) {
+            console.warn('Audio error:', e);
+        }
+    }
+
+    envelope(param, start, attack, decay, volume) {
+        param.setValueAtTime(0.0001, start);
+        param.exponentialRampToValueAtTime(volume, start + Math.max(attack, 0.001));
+        param.exponentialRampToValueAtTime(0.0001, start + attack + decay);
+    }
+
+    playNoise(destination, start, noise) {
+        const ctx = this.context;
+        const source = ctx.createBufferSource();
+        const filter = ctx.createBiquadFilter();
+        const gain = ctx.createGain();
+        source.buffer = this.noiseBuffer;
+        filter.type = noise.filter;
+        filter.frequency.value = noise.cutoff;
+        this.envelope(gain.gain, start, 0.002, noise.decay, noise.volume);
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(destination);
+        source.start(start, Math.random() * 0.5);
+        source.stop(start + noise.decay + 0.01);
+    }
+
+    playTone(destination, frequency, start, wave, attack, decay, volume) {
+        const ctx = this.context;
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+        oscillator.type = wave;
+        oscillator.frequency.value = frequency;
+        this.envelope(gain.gain, start, attack, decay, volume);
+        oscillator.connect(gain);
+        gain.connect(destination);
+        oscillator.start(start);
+        oscillator.stop(start + attack + decay + 0.01);
+    }
+
+    startMusic() {
+        if (!this.context || this.musicTimer) return;
+        
+        this.step = 0;
+        this.nextStepTime = this.context.currentTime + 0.1;
+        this.setLevel(0);
+        this.musicTimer = setInterval(() => this.scheduleMusic(), 50);
+    }
+
+    stopMusic() {
+        if (!this.musicTimer) return;
+        
+        clearInterval(this.musicTimer);
+        this.musicTimer = null;
+        const now = this.context.currentTime;
+        for (let id in this.layers) {
+            this.layers[id].gain.setTargetAtTime(0, now, 0.3);
+        }
+    }
+
+    // Fades each layer in or out to match the difficulty level
+    setLevel(level) {
+        this.level = level;
+        if (!this.context) return;
+        
+        const now = this.context.currentTime;
+        for (let layer of MUSIC_LAYERS) {
+            const target = level >= layer.minLevel ? layer.volume : 0;
+            this.layers[layer.id].gain.setTargetAtTime(target, now, 1.5);
+        }
+    }
+
+    // Lookahead scheduler: queues eighth-note steps a little ahead of the clock
+    scheduleMusic() {
+        if (!this.running) return;
+        
+        const ctx = this.context;
+        // Skip ahead instead of bursting notes after a suspension
+        if (this.nextStepTime < ctx.currentTime - 0.1) {
+            this.nextStepTime = ctx.currentTime + 0.05;
+        }
+        
+        const tempo = Math.min(120, 84 + this.level * 4);
+        const stepLength = 60 / tempo / 2;
+        while (this.nextStepTime < ctx.currentTime + 0.2) {
+            this.playStep(this.step, this.nextStepTime, stepLength);
+            this.nextStepTime += stepLength;
+            this.step++;
+        }
+    }
+
+    playStep(step, time, stepLength) {
+        const chord = MUSIC_CHORDS[Math.floor(step / MUSIC_STEPS_PER_CHORD) % MUSIC_CHORDS.length];
+        const note = (semitones, octave = 0) => MUSIC_ROOT * Math.pow(2, semitones / 12 + octave);
+        const level = this.level;
+        
+        if (step % MUSIC_STEPS_PER_CHORD === 0) {
+            const length = stepLength * MUSIC_STEPS_PER_CHORD;
+            for (let semitones of chord) {
+                this.playTone(this.layers.pad, note(semitones, 1), time, 'triangle', length * 0.3, length * 0.8, 0.3);
+                this.playTone(this.layers.pad, note(semitones, 1) * 1.004, time, 'sine', length * 0.3, length * 0.8, 0.2);
+            }
+        }
+        
+        if (level >= 1 && step % 4 === 0) {
+            this.playTone(this.layers.bass, note(chord[0], -1), time, 'sine', 0.01, stepLength * 3, 0.6);
+        }
+        
+        if (level >= 2 && Math.random() < 0.6) {
+            const degree = MUSIC_SCALE[Math.floor(Math.random() * MUSIC_SCALE.length)];
+            this.playTone(this.layers.arp, note(chord[0] + degree, 2), time, 'square', 0.005, stepLength * 1.5, 0.4);
+        }
+        
+        if (level >= 3 && step % 2 === 1) {
+            this.playNoise(this.layers.hats, time, { volume: 0.5, decay: 0.04, filter: 'highpass', cutoff: 7000 });
+        }
+    }
+}
@@ -0,0 +1,155 @@
+// Flappy Rocket — Nebula Edition
+// Sponsor banner campaigns: JSON-defined creatives with schedule windows,
+// weights and per-session frequency caps, plus locally stored impression stats
+
+// Used until campaigns.json loads, or when it cannot be fetched
+const DEFAULT_CAMPAIGN_DATA = {
+    enabled: true,
+    campaigns: [
+        {
+            id: 'slice-credit-card',
+            text: 'slice Credit Card',
+            colors: { background: '#b794f6', text: '#ffffff', glow: '#b794f6' },
+            weight: 1,
+            frequencyCap: 0
+        }
+    ]
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+class BannerCampaigns {
+    constructor(profile) {
+        this.profile = profile;
+        this.enabled = true;
+        this.campaigns = [];
+        this.images = {};
+        this.sessionImpressions = {};
+        this.stats = this.loadStats();
+        this.statsDirty = false;
+        
+        this.setData(DEFAULT_CAMPAIGN_DATA);
+    }
+
+    load(url) {
+        return fetch(url, { cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => this.setData(data))
+            .catch(err => console.warn('Using built-in banner campaigns:', err));
+    }
+
+    // A top-level "enabled": false turns every campaign off (ad-free builds)
+    setData(data) {
+        this.enabled = !!data && data.enabled !== false;
+        this.campaigns = (data && Array.isArray(data.campaigns) ? data.campaigns : [])
+            .filter(c => c && c.id && c.text && c.enabled !== false)
+            .map(c => this.normalize(c));
+        
+        for (let campaign of this.campaigns) {
+            if (campaign.image && !this.images[campaign.image]) {
+                const image = new Image();
+                image.src = campaign.image;
+                this.images[campaign.image] = image;
+            }
+        }
+    }
+
+    normalize(campaign) {
+        const colors = campaign.colors || {};
+        const color = (value, fallback) => (HEX_COLOR.test(value) ? value : fallback);
+        const background = color(colors.background, '#b794f6');
+        const schedule = campaign.schedule || {};
+        
+        return {
+            id: String(campaign.id),
+            text: String(campaign.text),
+            colors: {
+                background: background,
+                text: color(colors.text, '#ffffff'),
+                glow: color(colors.glow, background)
+            },
+            image: campaign.image || null,
+            start: schedule.start ? Date.parse(schedule.start) : -Infinity,
+            end: schedule.end ? Date.parse(schedule.end) : Infinity,
+            weight: campaign.weight > 0 ? campaign.weight : 1,
+            frequencyCap: campaign.frequencyCap > 0 ? campaign.frequencyCap : 0
+        };
+    }
+
+    getImage(campaign) {
+        const image = campaign.image && this.images[campaign.image];
+        return image && image.complete && image.naturalWidth > 0 ? image : null;
+    }
+
+    activeCampaigns(now = Date.now()) {
+        if (!this.enabled) return [];
+        return this.campaigns.filter(c => now >= c.start && now <= c.end);
+    }
+
+    weightedPick(candidates) {
+        const total = candidates.reduce((sum, c) => sum + c.weight, 0);
+        let roll = Math.random() * total;
+        for (let campaign of candidates) {
+            roll -= campaign.weight;
+            if (roll < 0) {
+                return campaign;
+            }
+        }
+        return candidates[candidates.length - 1] || null;
+    }
+
+    // Picks a campaign for a live banner, honouring per-session caps
+    serve(now = Date.now()) {
+        const candidates = this.activeCampaigns(now).filter(c =>
+            !c.frequencyCap || (this.sessionImpressions[c.id] || 0) < c.frequencyCap);
+        return this.weightedPick(candidates);
+    }
+
+    // Picks a campaign for replays and ghosts without touching caps or stats
+    pick(now = Date.now()) {
+        return this.weightedPick(this.activeCampaigns(now));
+    }
+
+    getStats(id) {
+        if (!this.stats[id]) {
+            this.stats[id] = { impressions: 0, visibleMs: 0, lastShown: null };
+        }
+        return this.stats[id];
+    }
+
+    recordImpression(id) {
+        this.sessionImpressions[id] = (this.sessionImpressions[id] || 0) + 1;
+        const stats = this.getStats(id);
+        stats.impressions++;
+        stats.lastShown = new Date().toISOString();
+        this.statsDirty = true;
+    }
+
+    recordVisibleTime(id, ms) {
+        this.getStats(id).visibleMs += ms;
+        this.statsDirty = true;
+    }
+
+    loadStats() {
+        return this.profile.get('bannerStats');
+    }
+
+    // Stats are batched in memory and written at natural pauses in play
+    flush() {
+        if (!this.statsDirty) return;
+        
+        if (this.profile.set('bannerStats', this.stats)) {
+            this.statsDirty = false;
+        }
+    }
+
+    exportStats() {
+        return {
+            exportedAt: new Date().toISOString(),
+            campaigns: this.stats
+        };
+    }
+}
@@ -0,0 +1,157 @@
+// Flappy Rocket — Nebula Edition
+// Cosmetics registry: rocket skins with their colours or sprite, thruster flame
+// palette, optional exhaust trail and what it takes to unlock them
+
+// body/cockpit/fins: vector colours, used unless a sprite image is given
+// cycle: body and fins sweep through the hue wheel
+// flame: hue ± spread in HSL; trail: overrides for the 'exhaust' emitter in particles.js
+// unlock: { score } best run score, or { achievement } id; omitted = always open
+const SKINS = [
+    {
+        id: 'red',
+        name: 'Red',
+        icon: '🔴',
+        body: '#ff6b6b',
+        cockpit: '#87ceeb',
+        fins: '#ff6b6b'
+    },
+    {
+        id: 'blue',
+        name: 'Blue',
+        icon: '🔵',
+        body: '#4ecdc4',
+        cockpit: '#87ceeb',
+        fins: '#4ecdc4'
+    },
+    {
+        id: 'gold',
+        name: 'Gold',
+        icon: '🟡',
+        body: '#ffd93d',
+        cockpit: '#87ceeb',
+        fins: '#ffd93d'
+    },
+    {
+        id: 'mystery',
+        name: 'Mystery',
+        icon: '✨',
+        cycle: true,
+        cockpit: '#87ceeb'
+    },
+    {
+        id: 'comet',
+        name: 'Comet',
+        icon: '☄️',
+        body: '#e2e8f0',
+        cockpit: '#4ecdc4',
+        fins: '#9d7bd8',
+        flame: { hue: 195, spread: 20, saturation: 100, lightness: 65 },
+        trail: { colors: ['hsl(190, 100%, 75%)', '#ffffff'], interval: 2, life: [25, 35], size: [1.5, 2.5] },
+        unlock: { score: 30 }
+    },
+    {
+        id: 'nebula',
+        name: 'Nebula',
+        icon: '🌌',
+        body: '#9d7bd8',
+        cockpit: '#ffd93d',
+        fins: '#b794f6',
+        flame: { hue: 285, spread: 25, saturation: 90, lightness: 65 },
+        trail: { colors: ['hsl(280, 90%, 70%)', 'hsl(320, 90%, 70%)'], interval: 3, life: [40, 50], size: [2.5, 3.5] },
+        unlock: { achievement: 'deep-nebula' }
+    },
+    {
+        id: 'retro',
+        name: 'Retro',
+        icon: '👾',
+        sprite: 'data:image/svg+xml,' + encodeURIComponent(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 12" shape-rendering="crispEdges">' +
+            '<path fill="#7bed9f" d="M2 3h12v1h2v1h2v2h-2v1h-2v1H2z"/>' +
+            '<path fill="#2ed573" d="M3 0h3v3H3zM3 9h3v3H3z"/>' +
+            '<path fill="#1e272e" d="M12 5h3v2h-3z"/></svg>'),
+        flame: { hue: 120, spread: 20, saturation: 100, lightness: 55 },
+        unlock: { achievement: 'close-shave' }
+    },
+    {
+        id: 'phoenix',
+        name: 'Phoenix',
+        icon: '🔥',
+        body: '#ff9f43',
+        cockpit: '#ffeaa7',
+        fins: '#ee5253',
+        flame: { hue: 30, spread: 25, saturation: 100, lightness: 60 },
+        trail: { colors: ['hsl(20, 100%, 60%)', 'hsl(45, 100%, 65%)'], interval: 1, life: [20, 30], size: [2.5, 3.5] },
+        unlock: { score: 100 }
+    }
+];
+
+const DEFAULT_SKIN = 'red';
+const DEFAULT_FLAME = { hue: 15, spread: 15, saturation: 100, lightness: 60 };
+
+class SkinRegistry {
+    constructor(profile, skins = SKINS) {
+        this.profile = profile;
+        this.skins = skins;
+        this.sprites = {};
+    }
+
+    get(id) {
+        return this.skins.find(skin => skin.id === id) || this.skins.find(skin => skin.id === DEFAULT_SKIN);
+    }
+
+    // Best score on the main leaderboard; assisted runs don't count
+    bestScore() {
+        const top = this.profile.get('records').top;
+        return Math.max(this.profile.get('bestScore'), top.length ? top[0].score : 0);
+    }
+
+    isUnlocked(skin) {
+        const unlock = skin.unlock;
+        if (!unlock) return true;
+        if (unlock.score) return this.bestScore() >= unlock.score;
+        return !!this.profile.get('achievements').unlocked[unlock.achievement];
+    }
+
+    unlockedIds() {
+        return this.skins.filter(skin => this.isUnlocked(skin)).map(skin => skin.id);
+    }
+
+    // The saved choice, or the default if it is locked (e.g. after an import)
+    resolve(id) {
+        const skin = this.get(id);
+        return this.isUnlocked(skin) ? skin.id : DEFAULT_SKIN;
+    }
+
+    describeUnlock(skin) {
+        const unlock = skin.unlock;
+        if (!unlock) return '';
+        if (unlock.score) return `Score ${unlock.score}`;
+        
+        const achievement = ACHIEVEMENTS.find(a => a.id === unlock.achievement);
+        return achievement ? `${achievement.icon} ${achievement.title}` : 'Achievement';
+    }
+
+    list() {
+        return this.skins.map(skin => Object.assign({
+            unlocked: this.isUnlocked(skin),
+            requirement: this.describeUnlock(skin)
+        }, skin));
+    }
+
+    // Loaded on first use; null until the image is ready to draw
+    getSprite(skin) {
+        if (!skin.sprite) return null;
+        
+        let image = this.sprites[skin.id];
+        if (!image) {
+            image = new Image();
+            image.src = skin.sprite;
+            this.sprites[skin.id] = image;
+        }
+        return image.complete && image.naturalWidth ? image : null;
+    }
+
+    flame(skin) {
+        return skin.flame || DEFAULT_FLAME;
+    }
+}
@@ -0,0 +1,206 @@
+// Flappy Rocket — Nebula Edition
+// Courses: a JSON format for hand-made layouts flown start to finish, the
+// built-in courses, and medal times
+//
+// {
+//   "version": 1,
+//   "name": "First Flight",
+//   "seed": 1,                                   // rock shapes and other decoration
+//   "length": 2600,                              // finish line, defaults to past the last gate
+//   "speeds": [{ "at": 0, "speed": 2 }],         // scroll speed from a distance on
+//   "obstacles": [{ "at": 300, "gapY": 0.3, "gap": 0.3, "type": "static", "pickup": "shield" }],
+//   "banners": [{ "at": 500, "y": 0.5 }],
+//   "hitPenaltyMs": 3000,                        // time added per hit
+//   "medals": { "gold": 20000, "silver": 23000, "bronze": 29000 }   // optional, in ms
+// }
+//
+// at: px of scrolled distance at which the item reaches the rocket
+// gapY/gap/y: top of the gap, its height and a banner's centre as fractions of
+// the playfield height; type: static, drifting or orbiter; pickup: a shield,
+// magnet or multiplier floating in the gap
+
+const COURSE_VERSION = 1;
+const COURSE_OBSTACLE_TYPES = ['static', 'drifting', 'orbiter'];
+const COURSE_FINISH_MARGIN = 300; // px from the last gate to the default finish line
+const COURSE_MAX_LENGTH = 100000; // px, keeps par and the engine's course queue bounded
+const COURSE_MAX_AT = COURSE_MAX_LENGTH - COURSE_FINISH_MARGIN;
+const COURSE_HIT_PENALTY_MS = 3000;
+const COURSE_GAP_RANGE = [0.1, 0.6];
+const COURSE_SPEED_RANGE = [0.5, 8];
+// Slow-mo scales the scroll speed, so the course takes more ticks to cover and
+// the pickup would make a run's time worse, not better
+const COURSE_PICKUPS = Object.keys(POWER_UPS).filter(id => id !== 'slowMo');
+
+// Par is a clean run; silver and bronze allow one and three hits
+const MEDALS = {
+    gold: { icon: '🥇', label: 'Gold', hits: 0 },
+    silver: { icon: '🥈', label: 'Silver', hits: 1 },
+    bronze: { icon: '🥉', label: 'Bronze', hits: 3 }
+};
+
+const MEDALS_ORDER = Object.keys(MEDALS);
+
+const BUILTIN_COURSES = [
+    {
+        version: 1,
+        name: 'First Flight',
+        seed: 1,
+        speeds: [{ at: 0, speed: 2 }],
+        obstacles: [
+            { at: 400, gapY: 0.3, gap: 0.32, type: 'static' },
+            { at: 650, gapY: 0.4, gap: 0.32, type: 'static' },
+            { at: 900, gapY: 0.25, gap: 0.3, type: 'static', pickup: 'shield' },
+            { at: 1150, gapY: 0.45, gap: 0.3, type: 'static' },
+            { at: 1400, gapY: 0.35, gap: 0.28, type: 'drifting' },
+            { at: 1650, gapY: 0.2, gap: 0.28, type: 'static' },
+            { at: 1900, gapY: 0.5, gap: 0.28, type: 'static' },
+            { at: 2150, gapY: 0.35, gap: 0.26, type: 'drifting' }
+        ],
+        banners: [{ at: 1000, y: 0.5 }]
+    },
+    {
+        version: 1,
+        name: 'Slalom',
+        seed: 7,
+        speeds: [{ at: 0, speed: 2.2 }, { at: 1500, speed: 2.8 }, { at: 3000, speed: 3.2 }],
+        obstacles: [
+            { at: 400, gapY: 0.15, gap: 0.26, type: 'static' },
+            { at: 560, gapY: 0.55, gap: 0.26, type: 'static' },
+            { at: 720, gapY: 0.15, gap: 0.26, type: 'static' },
+            { at: 1000, gapY: 0.3, gap: 0.34, type: 'orbiter' },
+            { at: 1300, gapY: 0.5, gap: 0.24, type: 'drifting' },
+            { at: 1600, gapY: 0.2, gap: 0.24, type: 'static' },
+            { at: 1760, gapY: 0.45, gap: 0.24, type: 'static' },
+            { at: 1920, gapY: 0.2, gap: 0.24, type: 'static' },
+            { at: 2250, gapY: 0.3, gap: 0.36, type: 'orbiter', pickup: 'shield' },
+            { at: 2600, gapY: 0.6, gap: 0.22, type: 'static' },
+            { at: 2780, gapY: 0.35, gap: 0.22, type: 'drifting' },
+            { at: 3100, gapY: 0.15, gap: 0.22, type: 'static' },
+            { at: 3280, gapY: 0.55, gap: 0.22, type: 'static' },
+            { at: 3460, gapY: 0.3, gap: 0.22, type: 'static' }
+        ],
+        banners: [{ at: 1450, y: 0.5 }, { at: 2950, y: 0.5 }]
+    }
+];
+
+function clampNumber(value, min, max, fallback) {
+    const number = Number(value);
+    return value !== null && value !== '' && isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+}
+
+// Checks and tidies course data (e.g. an imported file) into the shape the
+// engine flies: lists sorted by distance, values clamped, defaults filled in.
+// Throws with a readable message when the data isn't a course at all
+function normalizeCourse(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.obstacles)) {
+        throw new Error('Not a course file');
+    }
+    if (data.version !== COURSE_VERSION) {
+        throw new Error(`Unsupported course version ${data.version}`);
+    }
+    if (data.obstacles.length === 0) {
+        throw new Error('A course needs at least one gate');
+    }
+
+    const byDistance = (a, b) => a.at - b.at;
+    const obstacles = data.obstacles.map(entry => {
+        const gap = clampNumber(entry.gap, COURSE_GAP_RANGE[0], COURSE_GAP_RANGE[1], 0.3);
+        const obstacle = {
+            at: clampNumber(entry.at, 0, COURSE_MAX_AT, 0),
+            gapY: clampNumber(entry.gapY, 0.05, 0.95 - gap, 0.35),
+            gap: gap,
+            type: COURSE_OBSTACLE_TYPES.includes(entry.type) ? entry.type : 'static'
+        };
+        if (COURSE_PICKUPS.includes(entry.pickup)) {
+            obstacle.pickup = entry.pickup;
+        }
+        return obstacle;
+    }).sort(byDistance);
+
+    const banners = (Array.isArray(data.banners) ? data.banners : []).map(entry => ({
+        at: clampNumber(entry.at, 0, COURSE_MAX_AT, 0),
+        y: clampNumber(entry.y, 0.05, 0.95, 0.5)
+    })).sort(byDistance);
+
+    // The first segment always starts at the line
+    const speeds = (Array.isArray(data.speeds) ? data.speeds : []).map(entry => ({
+        at: clampNumber(entry.at, 0, COURSE_MAX_AT, 0),
+        speed: clampNumber(entry.speed, COURSE_SPEED_RANGE[0], COURSE_SPEED_RANGE[1], DEFAULT_CONFIG.baseSpeed)
+    })).sort(byDistance);
+    if (speeds.length === 0 || speeds[0].at > 0) {
+        speeds.unshift({ at: 0, speed: speeds.length ? speeds[0].speed : DEFAULT_CONFIG.baseSpeed });
+    }
+
+    const lastGate = obstacles[obstacles.length - 1].at;
+    const course = {
+        version: COURSE_VERSION,
+        name: String(data.name || 'Untitled course').slice(0, 40),
+        seed: clampNumber(data.seed, 0, 4294967295, 1) >>> 0,
+        length: Math.max(clampNumber(data.length, 0, COURSE_MAX_LENGTH, 0), lastGate + COURSE_FINISH_MARGIN),
+        hitPenaltyMs: clampNumber(data.hitPenaltyMs, 0, 30000, COURSE_HIT_PENALTY_MS),
+        speeds: speeds,
+        obstacles: obstacles,
+        banners: banners,
+        medals: null
+    };
+
+    if (data.medals && MEDALS_ORDER.every(medal => clampNumber(data.medals[medal], 0, Infinity, null) !== null)) {
+        course.medals = {};
+        for (let medal of MEDALS_ORDER) {
+            course.medals[medal] = Number(data.medals[medal]);
+        }
+    }
+    return course;
+}
+
+// Time of a clean run: the engine's speed segments replayed tick by tick
+function courseParTime(course, fixedTimestep = DEFAULT_CONFIG.fixedTimestep) {
+    let distance = 0;
+    let speed = course.speeds[0].speed;
+    let next = 0;
+    let ticks = 0;
+    while (distance < course.length) {
+        while (next < course.speeds.length && course.speeds[next].at <= distance) {
+            speed = course.speeds[next++].speed;
+        }
+        distance += speed;
+        ticks++;
+    }
+    return ticks * fixedTimestep;
+}
+
+// The course's own medal times, or par plus the hits each medal allows
+function courseMedals(course) {
+    if (course.medals) return course.medals;
+
+    const par = courseParTime(course);
+    const medals = {};
+    for (let medal of MEDALS_ORDER) {
+        medals[medal] = Math.ceil(par + MEDALS[medal].hits * course.hitPenaltyMs);
+    }
+    return medals;
+}
+
+// Best medal a finishing time earns, or null
+function medalFor(course, time) {
+    const medals = courseMedals(course);
+    return MEDALS_ORDER.find(medal => Math.round(time) <= medals[medal]) || null;
+}
+
+// Best times are kept per exact layout, so editing a course starts it afresh
+function courseKey(course) {
+    return SeededRandom.hash(JSON.stringify(course)).toString(36);
+}
+
+function createBlankCourse() {
+    return normalizeCourse({
+        version: COURSE_VERSION,
+        name: 'My course',
+        seed: SeededRandom.randomSeed(),
+        speeds: [{ at: 0, speed: DEFAULT_CONFIG.baseSpeed }],
+        obstacles: [
+            { at: 400, gapY: 0.35, gap: 0.3, type: 'static' },
+            { at: 700, gapY: 0.3, gap: 0.3, type: 'static' }
+        ]
+    });
+}
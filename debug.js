@@ -0,0 +1,250 @@
+// Flappy Rocket — Nebula Edition
+// Developer debug overlay: hitboxes, live stats, config sliders, invincibility,
+// slow motion and frame stepping. Opens with ?debug or Ctrl+Shift+D; any
+// config key can be preset from the URL, e.g. ?debug&baseSpeed=3&invincible=1
+
+// Config keys offered as sliders, with their range
+const DEBUG_TUNABLES = [
+    { key: 'baseSpeed', min: 0.5, max: 6, step: 0.1 },
+    { key: 'baseGap', min: 0.1, max: 0.5, step: 0.01 },
+    { key: 'minGap', min: 0.05, max: 0.5, step: 0.01 },
+    { key: 'difficultyIncrease', min: 0, max: 0.3, step: 0.01 },
+    { key: 'easyDuration', min: 0, max: 120000, step: 1000 },
+    { key: 'difficultyInterval', min: 1000, max: 60000, step: 1000 },
+    { key: 'obstacleSpacing', min: 100, max: 500, step: 10 },
+    { key: 'powerUpFrequency', min: 0, max: 1, step: 0.01 },
+    { key: 'orbFrequency', min: 0, max: 1, step: 0.01 },
+    { key: 'bannerFrequency', min: 0, max: 1, step: 0.01 },
+    { key: 'collisionForgiveness', min: 0, max: 8, step: 0.5 },
+    { key: 'nearMissDistance', min: 0, max: 40, step: 1 },
+    { key: 'holdThrust', min: 0.5, max: 1.5, step: 0.05 },
+    { key: 'maxParticles', min: 0, max: 500, step: 10 }
+];
+
+const DEBUG_TIME_SCALES = [1, 0.5, 0.25, 0.1];
+const DEBUG_STATS_INTERVAL = 250; // ms between stats text refreshes
+
+// Picks ?debug, ?timeScale and scalar config keys out of a query string;
+// values are parsed by the type of the current config value
+function parseDebugParams(search, config) {
+    const params = new URLSearchParams(search);
+    const overrides = {};
+    for (let [key, value] of params) {
+        if (!Object.prototype.hasOwnProperty.call(config, key)) continue;
+        
+        if (typeof config[key] === 'boolean') {
+            overrides[key] = value === '' || value === '1' || value === 'true';
+        } else if (typeof config[key] === 'number' && isFinite(parseFloat(value))) {
+            overrides[key] = parseFloat(value);
+        }
+    }
+
+    const timeScale = parseFloat(params.get('timeScale'));
+    return {
+        enabled: params.has('debug'),
+        overrides: overrides,
+        timeScale: DEBUG_TIME_SCALES.includes(timeScale) ? timeScale : 1
+    };
+}
+
+class DebugOverlay {
+    constructor(options) {
+        this.config = options.config;
+        this.onChange = options.onChange || (() => {});
+        this.onReset = options.onReset || (() => {});
+        this.onStep = options.onStep || (() => {});
+        
+        // Values before any override, for reset()
+        this.defaults = Object.assign({}, this.config);
+        const preset = parseDebugParams(options.search || '', this.config);
+        this.enabled = preset.enabled;
+        this.overrides = preset.overrides;
+        this.timeScale = preset.timeScale;
+        this.frozen = false;
+        this.averageMs = 1000 / 60;
+        this.statsAt = 0;
+        
+        this.panel = document.getElementById('debugPanel');
+        this.buildControls();
+        this.attach();
+        this.setEnabled(this.enabled);
+    }
+
+    // Anything that changes the rules or the clock; such runs stay off the records
+    get tampered() {
+        return Object.keys(this.overrides).length > 0 || this.timeScale !== 1 || this.frozen;
+    }
+
+    buildControls() {
+        const sliders = document.getElementById('debugSliders');
+        for (let tunable of DEBUG_TUNABLES) {
+            const label = document.createElement('label');
+            label.className = 'debug-slider';
+            label.innerHTML = `<span>${tunable.key}</span>` +
+                `<input type="range" min="${tunable.min}" max="${tunable.max}" step="${tunable.step}" data-key="${tunable.key}">` +
+                '<output></output>';
+            sliders.appendChild(label);
+        }
+        
+        const timeScale = document.getElementById('debugTimeScale');
+        for (let scale of DEBUG_TIME_SCALES) {
+            const option = document.createElement('option');
+            option.value = scale;
+            option.textContent = `${scale}×`;
+            timeScale.appendChild(option);
+        }
+    }
+
+    attach() {
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.shiftKey && e.code === 'KeyD') {
+                e.preventDefault();
+                this.setEnabled(!this.enabled);
+            } else if (this.enabled && this.frozen && e.code === 'Period') {
+                e.preventDefault();
+                this.onStep();
+            }
+        });
+        
+        document.getElementById('debugSliders').addEventListener('input', (e) => {
+            const key = e.target.dataset.key;
+            if (key) {
+                this.set(key, parseFloat(e.target.value));
+            }
+        });
+        
+        document.getElementById('debugInvincible').addEventListener('change', (e) => {
+            this.set('invincible', e.target.checked);
+        });
+        
+        document.getElementById('debugTimeScale').addEventListener('change', (e) => {
+            this.timeScale = parseFloat(e.target.value);
+            this.onChange('timeScale');
+        });
+        
+        document.getElementById('debugFreeze').addEventListener('change', (e) => {
+            this.frozen = e.target.checked;
+            document.getElementById('debugStepBtn').disabled = !this.frozen;
+            this.onChange('frozen');
+        });
+        
+        document.getElementById('debugStepBtn').addEventListener('click', () => this.onStep());
+        document.getElementById('debugLinkBtn').addEventListener('click', () => this.shareLink());
+        document.getElementById('debugResetBtn').addEventListener('click', () => this.reset());
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.panel.classList.toggle('hidden', !enabled);
+        if (enabled) {
+            this.syncControls();
+        }
+    }
+
+    // Overrides win over the difficulty preset; call after the run config is built
+    apply(config) {
+        Object.assign(config, this.overrides);
+    }
+
+    set(key, value) {
+        this.overrides[key] = value;
+        this.config[key] = value;
+        this.syncControls();
+        this.onChange(key);
+    }
+
+    reset() {
+        Object.assign(this.config, this.defaults);
+        this.overrides = {};
+        this.timeScale = 1;
+        this.frozen = false;
+        this.onReset();
+        this.syncControls();
+    }
+
+    syncControls() {
+        document.querySelectorAll('#debugSliders input').forEach(slider => {
+            const value = this.config[slider.dataset.key];
+            slider.value = value;
+            slider.nextElementSibling.textContent = value;
+            slider.parentElement.classList.toggle('changed', slider.dataset.key in this.overrides);
+        });
+        document.getElementById('debugInvincible').checked = !!this.config.invincible;
+        document.getElementById('debugTimeScale').value = this.timeScale;
+        document.getElementById('debugFreeze').checked = this.frozen;
+        document.getElementById('debugStepBtn').disabled = !this.frozen;
+    }
+
+    // The page URL with every override, so QA can share an exact setup
+    linkUrl() {
+        const params = new URLSearchParams();
+        for (let [key, value] of Object.entries(this.overrides)) {
+            params.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : value);
+        }
+        if (this.timeScale !== 1) {
+            params.set('timeScale', this.timeScale);
+        }
+        const query = params.toString();
+        return `${location.origin}${location.pathname}?debug${query ? '&' + query : ''}`;
+    }
+
+    // The address bar always gets the link, in case the clipboard is blocked
+    shareLink() {
+        const url = this.linkUrl();
+        history.replaceState(null, '', url);
+        
+        const btn = document.getElementById('debugLinkBtn');
+        if (!navigator.clipboard) return;
+        navigator.clipboard.writeText(url).then(() => {
+            btn.textContent = 'Copied';
+            setTimeout(() => { btn.textContent = 'Copy link'; }, 1500);
+        }).catch(e => console.warn('Could not copy debug link:', e));
+    }
+
+    // Call once per animation frame with the time since the last one
+    sample(frameMs) {
+        if (frameMs > 0) {
+            this.averageMs += (frameMs - this.averageMs) * 0.1;
+        }
+    }
+
+    renderStats(now, engine, extra) {
+        if (!this.enabled || now - this.statsAt < DEBUG_STATS_INTERVAL) return;
+        this.statsAt = now;
+        
+        document.getElementById('debugStats').textContent = [
+            `FPS ${Math.round(1000 / this.averageMs)} · ${this.averageMs.toFixed(1)} ms · quality ${extra.quality}`,
+            `Speed ${engine.scrollSpeed.toFixed(2)} · gap ${Math.round(engine.currentGap * 100)}% · level ${engine.difficultyLevel}`,
+            `Obstacles ${engine.obstacles.length} · banners ${engine.banners.length} · pickups ${engine.pickups.length} · orbs ${engine.orbs.length}`,
+            `Particles ${extra.particles} · tick ${engine.tick} · seed ${engine.seed}`
+        ].join('\n');
+    }
+
+    // The exact shapes checkCollisions() tests; a hull turns red while touching
+    drawHitboxes(ctx, engine) {
+        if (!this.enabled || !engine.spaceship) return;
+        
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#00ff88';
+        for (let obstacle of engine.obstacles) {
+            for (let shape of engine.getObstacleShapes(obstacle)) {
+                ctx.beginPath();
+                shape.forEach((point, i) => i ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y));
+                ctx.closePath();
+                ctx.stroke();
+            }
+        }
+        
+        for (let player of engine.players) {
+            if (player.crashed) continue;
+            
+            const hull = engine.getRocketHull(player);
+            ctx.strokeStyle = engine.checkCollisions(player) ? '#ff3b3b' : '#ffd93d';
+            ctx.beginPath();
+            ctx.ellipse(hull.x, hull.y, hull.rx, hull.ry, hull.rotation, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
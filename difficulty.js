@@ -0,0 +1,123 @@
+// Flappy Rocket — Nebula Edition
+// Difficulty: preset engine configs (Casual, Normal, Insane) and an optional
+// adaptive mode that tunes speed, gap and spacing to recent performance
+
+// Each preset overrides DEFAULT_CONFIG in engine.js; Normal is the original curve
+const DIFFICULTY_PRESETS = {
+    casual: {
+        label: '🌱 Casual',
+        config: {
+            baseSpeed: 1.6,
+            baseGap: 0.28,
+            minGap: 0.2,
+            difficultyIncrease: 0.05,
+            easyDuration: 45000,
+            difficultyInterval: 15000,
+            obstacleSpacing: 260,
+            powerUpFrequency: 0.18
+        }
+    },
+    normal: {
+        label: '🚀 Normal',
+        config: {}
+    },
+    insane: {
+        label: '🔥 Insane',
+        config: {
+            baseSpeed: 2.6,
+            baseGap: 0.19,
+            minGap: 0.13,
+            difficultyIncrease: 0.1,
+            easyDuration: 10000,
+            difficultyInterval: 8000,
+            obstacleSpacing: 170,
+            powerUpFrequency: 0.08
+        }
+    }
+};
+
+// How far adaptive mode may stretch a preset: the multiplier applied at
+// rating -1 (struggling) and at +1 (cruising)
+const ADAPTIVE_BOUNDS = {
+    speed: [0.8, 1.25],
+    gap: [1.25, 0.85],
+    spacing: [1.2, 0.9]
+};
+
+const ADAPTIVE_WINDOW = 8; // recent runs considered
+const ADAPTIVE_MIN_RUNS = 3; // runs needed before the rating moves
+const ADAPTIVE_TARGET_MS = 40000; // run length the tuning aims for
+const ADAPTIVE_RATE = 0.15; // rating change per run at full over/under-performance
+
+class DifficultyTuner {
+    constructor(profile) {
+        this.profile = profile;
+    }
+
+    get state() {
+        return this.profile.get('adaptive');
+    }
+
+    // Full engine config for the next run on a preset, tuned when adaptive
+    configFor(presetId, adaptive) {
+        const preset = DIFFICULTY_PRESETS[presetId] || DIFFICULTY_PRESETS.normal;
+        const config = Object.assign({}, DEFAULT_CONFIG, preset.config);
+        if (!adaptive) return config;
+        
+        const scale = this.scales();
+        config.baseSpeed *= scale.speed;
+        config.baseGap *= scale.gap;
+        config.minGap *= scale.gap;
+        config.obstacleSpacing = Math.round(config.obstacleSpacing * scale.spacing);
+        return config;
+    }
+
+    // Multipliers for the current rating, interpolated within ADAPTIVE_BOUNDS
+    scales() {
+        const t = (this.state.rating + 1) / 2;
+        const result = {};
+        for (let [key, [low, high]] of Object.entries(ADAPTIVE_BOUNDS)) {
+            result[key] = low + (high - low) * t;
+        }
+        return result;
+    }
+
+    // Every finished run feeds the window; only adaptive runs move the rating,
+    // so switching the mode on starts from what the player has been doing
+    recordRun(run) {
+        const state = this.state;
+        const recent = [{
+            durationMs: Math.round(run.durationMs),
+            passes: run.passes,
+            nearMisses: run.nearMisses,
+            level: run.level
+        }, ...state.recent].slice(0, ADAPTIVE_WINDOW);
+        
+        let rating = state.rating;
+        if (run.adaptive && recent.length >= ADAPTIVE_MIN_RUNS) {
+            rating = Math.max(-1, Math.min(1, rating + ADAPTIVE_RATE * this.performance(recent)));
+        }
+        this.profile.set('adaptive', { rating: rating, recent: recent });
+    }
+
+    // -1 (far too hard) to +1 (far too easy) from average run length,
+    // near-miss rate and how many runs ended in the easy phase
+    performance(recent) {
+        const clamp = (value) => Math.max(-1, Math.min(1, value));
+        const total = (key) => recent.reduce((sum, run) => sum + run[key], 0);
+        
+        const averageMs = total('durationMs') / recent.length;
+        const length = clamp((averageMs - ADAPTIVE_TARGET_MS) / ADAPTIVE_TARGET_MS);
+        const nearMissRate = total('nearMisses') / Math.max(1, total('passes'));
+        const nerves = clamp(0.5 - nearMissRate * 3);
+        const earlyDeaths = recent.filter(run => run.level === 0).length / recent.length;
+        const phase = clamp(0.5 - earlyDeaths);
+        
+        return clamp(length * 0.5 + nerves * 0.25 + phase * 0.25);
+    }
+
+    describe() {
+        const scale = this.scales();
+        return `Speed ${Math.round(scale.speed * 100)}% · Gap ${Math.round(scale.gap * 100)}%`;
+    }
+}
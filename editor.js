@@ -0,0 +1,467 @@
+// Flappy Rocket — Nebula Edition
+// Course editor: gates, banners and the finish line are dragged on the canvas,
+// the selected gate is tuned from the toolbar, and the course is handed back to
+// the game to test-fly, save or export
+
+const EDITOR_SNAP = 10; // px of course distance that positions snap to
+const EDITOR_GRAB = 12; // px around a gap edge or the finish line that grabs it
+const EDITOR_GATE_WIDTH = 50; // matches the engine's column width
+const EDITOR_TYPE_ICONS = { static: '▮', drifting: '↕', orbiter: '◎' };
+
+// Course distance on the snap grid, kept within what the course format allows
+function snapDistance(value, max = COURSE_MAX_AT) {
+    return Math.max(0, Math.min(max, Math.round(value / EDITOR_SNAP) * EDITOR_SNAP));
+}
+
+// Chequered strip centred on x; also drawn by the game during course runs
+function drawFinishLine(ctx, x, height) {
+    for (let y = 0, row = 0; y < height; y += 12, row++) {
+        ctx.fillStyle = row % 2 ? '#ffffff' : '#000000';
+        ctx.fillRect(x - 6, y, 6, 12);
+        ctx.fillStyle = row % 2 ? '#000000' : '#ffffff';
+        ctx.fillRect(x, y, 6, 12);
+    }
+}
+
+class CourseEditor {
+    constructor(options) {
+        this.canvas = options.canvas;
+        this.toPlayfield = options.toPlayfield;
+        this.pickupIcons = options.pickupIcons || {};
+        this.onChange = options.onChange || (() => {});
+        this.onTestFly = options.onTestFly || (() => {});
+        this.onExport = options.onExport || (() => {});
+        this.onExit = options.onExit || (() => {});
+        
+        this.active = false;
+        this.course = null;
+        this.selected = null; // { list: 'obstacles' | 'banners', entry }
+        this.drag = null;
+        this.viewX = 0;
+        this.width = 0;
+        this.height = 0;
+        
+        this.buildToolbar();
+        this.attach();
+    }
+
+    // The rocket's x in the game; course distances are measured from it
+    get shipX() {
+        return this.width * 0.2;
+    }
+
+    screenX(at) {
+        return this.shipX + at - this.viewX;
+    }
+
+    open(course, width, height) {
+        this.course = JSON.parse(JSON.stringify(course));
+        this.active = true;
+        this.selected = null;
+        this.drag = null;
+        this.viewX = 0;
+        this.resize(width, height);
+        document.getElementById('editorBar').classList.remove('hidden');
+        this.renderToolbar();
+    }
+
+    close() {
+        this.active = false;
+        this.drag = null;
+        document.getElementById('editorBar').classList.add('hidden');
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    buildToolbar() {
+        const type = document.getElementById('editorType');
+        for (let id of COURSE_OBSTACLE_TYPES) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${EDITOR_TYPE_ICONS[id]} ${id}`;
+            type.appendChild(option);
+        }
+        
+        const pickup = document.getElementById('editorPickup');
+        for (let id of ['', ...COURSE_PICKUPS]) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = id ? `${this.pickupIcons[id] || ''} ${id}` : 'No pickup';
+            pickup.appendChild(option);
+        }
+        
+        const speed = document.getElementById('editorSpeed');
+        speed.min = COURSE_SPEED_RANGE[0];
+        speed.max = COURSE_SPEED_RANGE[1];
+    }
+
+    attach() {
+        const canvas = this.canvas;
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!this.active) return;
+            canvas.setPointerCapture(e.pointerId);
+            this.startDrag(this.toPlayfield(e.clientX, e.clientY));
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (this.active && this.drag) {
+                this.moveDrag(this.toPlayfield(e.clientX, e.clientY));
+            }
+        });
+        for (let type of ['pointerup', 'pointercancel']) {
+            canvas.addEventListener(type, () => {
+                if (this.active && this.drag) {
+                    this.drag = null;
+                    this.changed();
+                }
+            });
+        }
+        canvas.addEventListener('dblclick', (e) => {
+            if (!this.active) return;
+            const point = this.toPlayfield(e.clientX, e.clientY);
+            if (!this.hitTest(point)) {
+                this.addGate(point.x - this.shipX + this.viewX, point.y);
+            }
+        });
+        canvas.addEventListener('wheel', (e) => {
+            if (!this.active) return;
+            e.preventDefault();
+            this.pan(e.deltaX || e.deltaY);
+        }, { passive: false });
+        
+        document.addEventListener('keydown', (e) => {
+            if (this.active && e.code === 'Delete' && e.target.tagName !== 'INPUT') {
+                this.deleteSelected();
+            }
+        });
+        
+        document.getElementById('editorName').addEventListener('input', (e) => {
+            this.course.name = e.target.value;
+            this.changed();
+        });
+        document.getElementById('editorType').addEventListener('change', (e) => {
+            this.selected.entry.type = e.target.value;
+            this.changed();
+        });
+        document.getElementById('editorPickup').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.selected.entry.pickup = e.target.value;
+            } else {
+                delete this.selected.entry.pickup;
+            }
+            this.changed();
+        });
+        document.getElementById('editorSpeed').addEventListener('change', (e) => {
+            this.setSpeedFrom(this.selected.entry.at, parseFloat(e.target.value));
+        });
+        
+        // New items land mid-screen
+        document.getElementById('editorAddGateBtn').addEventListener('click', () => {
+            this.addGate(this.width * 0.5 - this.shipX + this.viewX, this.height * 0.5);
+        });
+        document.getElementById('editorAddBannerBtn').addEventListener('click', () => {
+            this.addBanner(this.width * 0.5 - this.shipX + this.viewX, this.height * 0.5);
+        });
+        document.getElementById('editorDeleteBtn').addEventListener('click', () => this.deleteSelected());
+        document.getElementById('editorTestBtn').addEventListener('click', () => this.onTestFly(this.course));
+        document.getElementById('editorExportBtn').addEventListener('click', () => this.onExport(this.course));
+        document.getElementById('editorNewBtn').addEventListener('click', () => {
+            this.load(createBlankCourse());
+        });
+        document.getElementById('editorDoneBtn').addEventListener('click', () => this.onExit(this.course));
+        
+        document.getElementById('editorImportBtn').addEventListener('click', () => {
+            document.getElementById('editorImportFile').click();
+        });
+        document.getElementById('editorImportFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importFile(file);
+        });
+    }
+
+    load(course) {
+        this.open(course, this.width, this.height);
+        this.changed();
+    }
+
+    importFile(file) {
+        file.text()
+            .then(text => {
+                this.load(normalizeCourse(JSON.parse(text)));
+                this.setStatus(`✓ Imported "${this.course.name}"`);
+            })
+            .catch(err => {
+                console.warn('Could not import course:', err);
+                this.setStatus(`Import failed: ${err.message}`);
+            });
+    }
+
+    // Grabs whatever is under the pointer; empty space pans the view
+    startDrag(point) {
+        const hit = this.hitTest(point);
+        this.selected = hit && hit.entry ? { list: hit.list, entry: hit.entry } : null;
+        this.drag = Object.assign({
+            start: point,
+            viewX: this.viewX,
+            entry: hit && hit.entry ? Object.assign({}, hit.entry) : null,
+            length: this.course.length
+        }, hit || { part: 'pan' });
+        this.renderToolbar();
+    }
+
+    moveDrag(point) {
+        const drag = this.drag;
+        const dx = point.x - drag.start.x;
+        const dy = (point.y - drag.start.y) / this.height;
+        
+        if (drag.part === 'pan') {
+            this.viewX = Math.max(0, drag.viewX - dx);
+        } else if (drag.part === 'finish') {
+            this.course.length = snapDistance(drag.length + dx, COURSE_MAX_LENGTH);
+        } else if (drag.list === 'banners') {
+            drag.target.at = snapDistance(drag.entry.at + dx);
+            drag.target.y = Math.max(0.05, Math.min(0.95, drag.entry.y + dy));
+        } else if (drag.part === 'top') {
+            const bottom = drag.entry.gapY + drag.entry.gap;
+            const gap = Math.max(COURSE_GAP_RANGE[0], Math.min(COURSE_GAP_RANGE[1], drag.entry.gap - dy));
+            drag.target.gap = gap;
+            drag.target.gapY = Math.max(0.05, bottom - gap);
+        } else if (drag.part === 'bottom') {
+            const gap = Math.max(COURSE_GAP_RANGE[0], Math.min(COURSE_GAP_RANGE[1], drag.entry.gap + dy));
+            drag.target.gap = Math.min(gap, 0.95 - drag.entry.gapY);
+        } else {
+            drag.target.at = snapDistance(drag.entry.at + dx);
+            drag.target.gapY = Math.max(0.05, Math.min(0.95 - drag.entry.gap, drag.entry.gapY + dy));
+        }
+    }
+
+    // What a point on the canvas lands on: a gap edge, a gate, a banner or the finish
+    hitTest(point) {
+        for (let entry of this.course.obstacles) {
+            const x = this.screenX(entry.at);
+            if (point.x < x - 4 || point.x > x + EDITOR_GATE_WIDTH + 4) continue;
+            
+            const top = entry.gapY * this.height;
+            const bottom = (entry.gapY + entry.gap) * this.height;
+            let part = 'move';
+            if (Math.abs(point.y - top) < EDITOR_GRAB) {
+                part = 'top';
+            } else if (Math.abs(point.y - bottom) < EDITOR_GRAB) {
+                part = 'bottom';
+            }
+            return { list: 'obstacles', entry: entry, target: entry, part: part };
+        }
+        
+        for (let entry of this.course.banners) {
+            const x = this.screenX(entry.at);
+            const y = entry.y * this.height;
+            if (Math.abs(point.x - x) < 100 && Math.abs(point.y - y) < 20) {
+                return { list: 'banners', entry: entry, target: entry, part: 'move' };
+            }
+        }
+        
+        if (Math.abs(point.x - this.screenX(this.course.length)) < EDITOR_GRAB) {
+            return { part: 'finish' };
+        }
+        return null;
+    }
+
+    pan(delta) {
+        this.viewX = Math.max(0, this.viewX + delta);
+    }
+
+    addGate(at, y) {
+        const gap = 0.3;
+        const entry = {
+            at: snapDistance(at),
+            gapY: Math.max(0.05, Math.min(0.95 - gap, y / this.height - gap / 2)),
+            gap: gap,
+            type: 'static'
+        };
+        this.course.obstacles.push(entry);
+        this.selected = { list: 'obstacles', entry: entry };
+        this.changed();
+    }
+
+    addBanner(at, y) {
+        const entry = { at: snapDistance(at), y: y / this.height };
+        this.course.banners.push(entry);
+        this.selected = { list: 'banners', entry: entry };
+        this.changed();
+    }
+
+    deleteSelected() {
+        if (!this.selected) return;
+        
+        // A course keeps at least one gate
+        const list = this.course[this.selected.list];
+        if (this.selected.list === 'obstacles' && list.length === 1) {
+            this.setStatus('A course needs at least one gate');
+            return;
+        }
+        list.splice(list.indexOf(this.selected.entry), 1);
+        this.selected = null;
+        this.changed();
+    }
+
+    // Speed segments start at gates; matching the speed before it removes one
+    setSpeedFrom(at, speed) {
+        if (!isFinite(speed)) return;
+        
+        const speeds = this.course.speeds;
+        const clamped = Math.max(COURSE_SPEED_RANGE[0], Math.min(COURSE_SPEED_RANGE[1], speed));
+        let segment = speeds.find(s => s.at === at);
+        if (!segment) {
+            segment = { at: at, speed: clamped };
+            speeds.push(segment);
+            speeds.sort((a, b) => a.at - b.at);
+        }
+        segment.speed = clamped;
+        
+        const index = speeds.indexOf(segment);
+        if (index > 0 && speeds[index - 1].speed === clamped) {
+            speeds.splice(index, 1);
+        }
+        this.changed();
+    }
+
+    speedAt(at) {
+        let speed = this.course.speeds[0].speed;
+        for (let segment of this.course.speeds) {
+            if (segment.at <= at) {
+                speed = segment.speed;
+            }
+        }
+        return speed;
+    }
+
+    // Keeps lists in distance order and the finish past the last gate, then saves
+    changed() {
+        const course = this.course;
+        course.obstacles.sort((a, b) => a.at - b.at);
+        course.banners.sort((a, b) => a.at - b.at);
+        course.length = Math.max(course.length, course.obstacles[course.obstacles.length - 1].at + COURSE_FINISH_MARGIN);
+        this.onChange(course);
+        this.renderToolbar();
+    }
+
+    renderToolbar() {
+        const course = this.course;
+        const selected = this.selected;
+        const gate = selected && selected.list === 'obstacles' ? selected.entry : null;
+        
+        const name = document.getElementById('editorName');
+        if (document.activeElement !== name) {
+            name.value = course.name;
+        }
+        document.getElementById('editorGateTools').classList.toggle('hidden', !gate);
+        document.getElementById('editorDeleteBtn').disabled = !selected;
+        if (gate) {
+            document.getElementById('editorType').value = gate.type;
+            document.getElementById('editorPickup').value = gate.pickup || '';
+            document.getElementById('editorSpeed').value = this.speedAt(gate.at);
+        }
+        
+        const medals = courseMedals(normalizeCourse(course));
+        this.setStatus(`${course.obstacles.length} gates · ` +
+            MEDALS_ORDER.map(medal => `${MEDALS[medal].icon} ${(medals[medal] / 1000).toFixed(1)}s`).join(' '));
+    }
+
+    setStatus(text) {
+        document.getElementById('editorStatus').textContent = text;
+    }
+
+    draw(ctx) {
+        const course = this.course;
+        const width = this.width;
+        const height = this.height;
+        ctx.save();
+        
+        // Distance ruler, labelled every 500 px
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '12px sans-serif';
+        ctx.lineWidth = 1;
+        const first = Math.ceil((this.viewX - this.shipX) / 100) * 100;
+        for (let at = Math.max(0, first); this.screenX(at) < width; at += 100) {
+            const x = this.screenX(at);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            if (at % 500 === 0) {
+                ctx.fillText(at, x + 4, height - 8);
+            }
+        }
+        
+        // Start position of the rocket
+        ctx.font = '28px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('🚀', this.screenX(0) - 20, height / 2);
+        
+        // Speed changes
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.setLineDash([6, 6]);
+        ctx.strokeStyle = '#9ad1ff';
+        ctx.fillStyle = '#9ad1ff';
+        for (let segment of course.speeds) {
+            const x = this.screenX(segment.at);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.fillText(`⏩ ${segment.speed}`, x + 4, 8);
+        }
+        ctx.setLineDash([]);
+        
+        for (let entry of course.banners) {
+            const x = this.screenX(entry.at);
+            ctx.strokeStyle = this.isSelected(entry) ? '#ffd93d' : '#b794f6';
+            ctx.fillStyle = 'rgba(183, 148, 246, 0.2)';
+            ctx.fillRect(x - 100, entry.y * height - 20, 200, 40);
+            ctx.strokeRect(x - 100, entry.y * height - 20, 200, 40);
+        }
+        
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (let entry of course.obstacles) {
+            const x = this.screenX(entry.at);
+            if (x + EDITOR_GATE_WIDTH < 0 || x > width) continue;
+            
+            const top = entry.gapY * height;
+            const bottom = (entry.gapY + entry.gap) * height;
+            const selected = this.isSelected(entry);
+            ctx.fillStyle = '#4a4a4a';
+            ctx.strokeStyle = selected ? '#ffd93d' : '#b794f6';
+            ctx.lineWidth = selected ? 3 : 1;
+            ctx.fillRect(x, 0, EDITOR_GATE_WIDTH, top);
+            ctx.fillRect(x, bottom, EDITOR_GATE_WIDTH, height - bottom);
+            ctx.strokeRect(x, 0, EDITOR_GATE_WIDTH, top);
+            ctx.strokeRect(x, bottom, EDITOR_GATE_WIDTH, height - bottom);
+            
+            // Grips on the gap edges
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.fillRect(x + 10, top - 3, EDITOR_GATE_WIDTH - 20, 6);
+            ctx.fillRect(x + 10, bottom - 3, EDITOR_GATE_WIDTH - 20, 6);
+            
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(EDITOR_TYPE_ICONS[entry.type], x + EDITOR_GATE_WIDTH / 2, top + 14);
+            if (entry.pickup) {
+                ctx.fillText(this.pickupIcons[entry.pickup] || entry.pickup, x + EDITOR_GATE_WIDTH / 2, (top + bottom) / 2);
+            }
+        }
+        
+        drawFinishLine(ctx, this.screenX(course.length), height);
+        ctx.restore();
+    }
+
+    isSelected(entry) {
+        return !!this.selected && this.selected.entry === entry;
+    }
+}
@@ -0,0 +1,1124 @@
+// Flappy Rocket — Nebula Edition
+// Headless simulation core: game state + step(input), free of DOM, canvas,
+// audio and localStorage so it runs in the browser shell and under Node alike.
+
+const DEFAULT_CONFIG = {
+    baseSpeed: 2.0,
+    baseGap: 0.22,
+    minGap: 0.15, // the gap stops shrinking here
+    difficultyIncrease: 0.08,
+    easyDuration: 30000,
+    difficultyInterval: 10000,
+    obstacleSpacing: 200, // px the last obstacle travels before the next spawns
+    bannerFrequency: 0.1,
+    powerUpFrequency: 0.12, // chance of a power-up pickup per obstacle
+    powerUpWeights: { shield: 1, slowMo: 1, magnet: 1, multiplier: 1 },
+    orbFrequency: 0.3, // chance of a row of bonus orbs per obstacle
+    fixedTimestep: 1000 / 60,
+    collisionForgiveness: 2, // px shaved off the rocket hull before testing
+    nearMissDistance: 10, // gap clearance in px that counts as a near miss
+    holdThrust: 0.9, // upward acceleration per tick at full hold (gravity is 0.5)
+    invincible: false // debug: hits deflect like the post-shield grace instead of crashing
+};
+
+// Rocket hull matches the body ellipse drawn by drawSpaceshipBody()
+const ROCKET_HULL = { rx: 18, ry: 8 };
+
+// Collectible power-ups; durations are in simulation milliseconds
+const POWER_UPS = {
+    shield: { duration: 10000 },
+    slowMo: { duration: 5000, speedScale: 0.6 },
+    magnet: { duration: 8000, radius: 160 },
+    multiplier: { duration: 10000, factor: 2 }
+};
+
+// Obstacle behaviours unlocked as the difficulty level rises
+const OBSTACLE_PATTERNS = [
+    { type: 'drifting', minLevel: 1, weight: 0.3 },
+    { type: 'orbiter', minLevel: 2, weight: 0.2 },
+    { type: 'doubleGate', minLevel: 3, weight: 0.15 }
+];
+
+// Bump whenever simulation rules change; older recordings would desync
+const REPLAY_VERSION = 4;
+
+// Small, fast seedable PRNG (mulberry32) behind every random choice in a run
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    // FNV-1a, for deriving seeds from text such as dates
+    static hash(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+}
+
+// Squared distance from the origin to segment ab
+function segmentDistanceSq(ax, ay, bx, by) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+    const px = ax + dx * t;
+    const py = ay + dy * t;
+    return px * px + py * py;
+}
+
+// Tests a rotated ellipse {x, y, rx, ry, rotation} against a simple polygon
+// [{x, y}, ...]. The polygon is mapped into the ellipse's own space, where the
+// ellipse becomes a unit circle, so the test is exact for any polygon shape.
+function ellipseIntersectsPolygon(ellipse, points) {
+    const cos = Math.cos(ellipse.rotation);
+    const sin = Math.sin(ellipse.rotation);
+    const local = points.map(p => {
+        const dx = p.x - ellipse.x;
+        const dy = p.y - ellipse.y;
+        return {
+            x: (dx * cos + dy * sin) / ellipse.rx,
+            y: (dy * cos - dx * sin) / ellipse.ry
+        };
+    });
+
+    // Centre inside the polygon (even-odd rule)
+    let inside = false;
+    for (let i = 0, j = local.length - 1; i < local.length; j = i++) {
+        const a = local[i];
+        const b = local[j];
+        if ((a.y > 0) !== (b.y > 0) && 0 < (b.x - a.x) * (0 - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    if (inside) return true;
+
+    // Any edge reaching into the unit circle
+    for (let i = 0, j = local.length - 1; i < local.length; j = i++) {
+        if (segmentDistanceSq(local[j].x, local[j].y, local[i].x, local[i].y) <= 1) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// Vertical half-extent of a rotated ellipse, for the floor and ceiling
+function ellipseHalfHeight(ellipse) {
+    const sin = Math.sin(ellipse.rotation);
+    const cos = Math.cos(ellipse.rotation);
+    return Math.sqrt(ellipse.rx * ellipse.rx * sin * sin + ellipse.ry * ellipse.ry * cos * cos);
+}
+
+// Irregular rock outline around the origin; every vertex stays within radius
+function createRockPolygon(rng, radius, vertexCount = 8, roughness = 0.35) {
+    const points = [];
+    for (let i = 0; i < vertexCount; i++) {
+        const angle = (i / vertexCount) * Math.PI * 2 + rng.range(-0.2, 0.2);
+        const r = radius * (1 - roughness * rng.next());
+        points.push({ x: Math.cos(angle) * r, y: Math.sin(angle) * r });
+    }
+    return points;
+}
+
+function transformPolygon(points, x, y, rotation) {
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return points.map(p => ({
+        x: x + p.x * cos - p.y * sin,
+        y: y + p.x * sin + p.y * cos
+    }));
+}
+
+function rectPolygon(x, y, width, height) {
+    return [
+        { x: x, y: y },
+        { x: x + width, y: y },
+        { x: x + width, y: y + height },
+        { x: x, y: y + height }
+    ];
+}
+
+// Minimal Storage-compatible stand-in for when localStorage is unavailable
+function createMemoryStorage() {
+    const data = {};
+    return {
+        getItem: (key) => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: (key) => { delete data[key]; }
+    };
+}
+
+class GameEngine {
+    constructor(options = {}) {
+        this.config = Object.assign({}, DEFAULT_CONFIG, options.config);
+        this.width = options.width || 800;
+        this.height = options.height || 600;
+        
+        // Injected ports
+        this.clock = options.clock || { now: () => Date.now() };
+        this.audio = options.audio || { play() {} };
+        
+        // Persisting the best score is up to the host via the bestScore event
+        this.listeners = {};
+        this.bestScore = options.bestScore || 0;
+        
+        // Retired obstacles and banners are reused instead of reallocated;
+        // serials never repeat, so hosts can key caches on them across runs
+        this.obstaclePool = [];
+        this.bannerPool = [];
+        this.serial = 0;
+        
+        this.reset(options.seed);
+    }
+
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    emit(type, data) {
+        for (let listener of this.listeners[type] || []) {
+            listener(data);
+        }
+    }
+
+    // Player one's state, for single-rocket hosts, replays and ghosts
+    get spaceship() {
+        return this.players[0].spaceship;
+    }
+
+    get score() {
+        return this.players[0].score;
+    }
+
+    get obstaclesPassed() {
+        return this.players[0].obstaclesPassed;
+    }
+
+    get nearMisses() {
+        return this.players[0].nearMisses;
+    }
+
+    get crashed() {
+        return this.players[0].crashed;
+    }
+
+    get powerUps() {
+        return this.players[0].powerUps;
+    }
+
+    get invulnerableTime() {
+        return this.players[0].invulnerableTime;
+    }
+
+    get hits() {
+        return this.players[0].hits;
+    }
+
+    get penaltyMs() {
+        return this.players[0].penaltyMs;
+    }
+
+    // Stretches live state to the new size so a mid-run resize keeps the course
+    // intact; sizes, speeds and physics stay in playfield pixels
+    resize(width, height) {
+        const sx = width / this.width;
+        const sy = height / this.height;
+        this.width = width;
+        this.height = height;
+        if ((sx === 1 && sy === 1) || !this.obstacles) return;
+        
+        for (let player of this.players) {
+            const ship = player.spaceship;
+            ship.x *= sx;
+            ship.y *= sy;
+            ship.prevY *= sy;
+        }
+        
+        for (let obstacle of this.obstacles) {
+            obstacle.x *= sx;
+            obstacle.prevX *= sx;
+            obstacle.gapHeight *= sy;
+            obstacle.baseGapY *= sy;
+            if (obstacle.drift) {
+                obstacle.drift.amplitude *= sy;
+            }
+            if (obstacle.orbit) {
+                obstacle.orbit.radius *= sy;
+            }
+            this.applyGap(obstacle, obstacle.topHeight * sy);
+        }
+        
+        for (let item of [...this.banners, ...this.pickups, ...this.orbs]) {
+            item.x *= sx;
+            item.prevX *= sx;
+            item.y *= sy;
+            if (item.prevY !== undefined) {
+                item.prevY *= sy;
+            }
+        }
+    }
+
+    // options.trackBest: false keeps side modes from touching the saved best score
+    // options.course: a normalized course (see courses.js) flown to its finish
+    // line in place of the endless random layout
+    // options.players: rockets flying the same field (2 for versus); the run
+    // lasts until every one has crashed
+    reset(seed = SeededRandom.randomSeed(), options = {}) {
+        this.seed = seed >>> 0;
+        this.trackBest = options.trackBest !== false;
+        this.course = options.course || null;
+        this.rng = new SeededRandom(this.seed);
+        this.tick = 0;
+        this.simTime = 0;
+        this.startTime = this.clock.now();
+        this.running = true;
+        
+        // Course progress: scrolled distance, the next entry of each list, and whether the line was crossed
+        this.distance = 0;
+        this.courseNext = { obstacles: 0, banners: 0, speeds: 0 };
+        this.finished = false;
+        
+        if (this.obstacles) {
+            this.obstaclePool.push(...this.obstacles);
+            this.bannerPool.push(...this.banners);
+        }
+        this.obstacles = [];
+        this.banners = [];
+        this.pickups = [];
+        this.orbs = [];
+        
+        // Reset difficulty
+        this.difficultyLevel = 0;
+        this.currentSpeed = this.course ? this.course.speeds[0].speed : this.config.baseSpeed;
+        this.scrollSpeed = this.currentSpeed;
+        this.currentGap = this.config.baseGap;
+        
+        const playerCount = options.players || 1;
+        this.players = [];
+        for (let i = 0; i < playerCount; i++) {
+            this.players.push(this.createPlayer(i, playerCount));
+        }
+    }
+
+    // A rocket and everything that is its own: score, power-ups, grace after a
+    // shield hit and course hits. Rockets share x and start spread out vertically
+    createPlayer(index, count) {
+        const y = this.height * (index + 1) / (count + 1);
+        return {
+            index: index,
+            spaceship: {
+                x: this.width * 0.2,
+                y: y,
+                vx: 0,
+                vy: 0,
+                prevY: y,
+                rotation: 0,
+                prevRotation: 0,
+                targetRotation: 0,
+                thrusting: false,
+                thrustTime: -Infinity,
+                hold: 0
+            },
+            score: 0,
+            obstaclesPassed: 0,
+            nearMisses: 0,
+            crashed: false,
+            crashTick: 0,
+            powerUps: { shield: 0, slowMo: 0, magnet: 0, multiplier: 0 },
+            invulnerableTime: 0,
+            hits: 0,
+            penaltyMs: 0
+        };
+    }
+
+    // Advances the simulation by one fixed tick (config.fixedTimestep ms).
+    // input is { thrust, hold } for player one, or an array of them by player
+    step(input = {}) {
+        if (!this.running) return;
+        
+        this.tick++;
+        this.simTime += this.config.fixedTimestep;
+        
+        const inputs = Array.isArray(input) ? input : [input];
+        const live = this.players.filter(player => !player.crashed);
+        for (let player of live) {
+            const playerInput = inputs[player.index] || {};
+            if (playerInput.thrust) {
+                this.thrust(player);
+            }
+            
+            // Analog hold-to-thrust level (0–1); changes are emitted so recordings can rebuild it
+            const hold = Math.max(0, Math.min(1, playerInput.hold || 0));
+            if (hold !== player.spaceship.hold) {
+                player.spaceship.hold = hold;
+                this.emit('hold', { tick: this.tick, value: hold, player: player.index });
+            }
+        }
+        
+        // Update difficulty
+        this.updateDifficulty();
+        this.updatePowerUps();
+        
+        // Update spaceship physics
+        for (let player of live) {
+            const ship = player.spaceship;
+            ship.prevY = ship.y;
+            ship.prevRotation = ship.rotation;
+            ship.vy += 0.5; // gravity
+            ship.vy -= ship.hold * this.config.holdThrust;
+            ship.vy = Math.max(-12, Math.min(12, ship.vy));
+            ship.y += ship.vy;
+            
+            // Smooth rotation based on velocity
+            ship.targetRotation = Math.max(-0.5, Math.min(0.5, ship.vy * 0.05));
+            ship.rotation += (ship.targetRotation - ship.rotation) * 0.1;
+            
+            ship.thrusting = false;
+        }
+        
+        // Update obstacles
+        const hulls = live.map(player => this.getRocketHull(player));
+        this.distance += this.scrollSpeed;
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            const obstacle = this.obstacles[i];
+            obstacle.prevX = obstacle.x;
+            obstacle.x -= this.scrollSpeed;
+            obstacle.rotation += 0.02;
+            this.updateObstacleMotion(obstacle);
+            
+            // Rockets share x, so every live one passes an obstacle on the same tick
+            if (!obstacle.scored) {
+                live.forEach((player, n) => this.trackClearance(player, obstacle, hulls[n]));
+                if (obstacle.x + obstacle.width < live[0].spaceship.x) {
+                    obstacle.scored = true;
+                    for (let player of live) {
+                        this.scorePass(player, obstacle);
+                    }
+                }
+            }
+            
+            // Remove off-screen obstacles
+            if (obstacle.x < -100) {
+                this.obstacles.splice(i, 1);
+                this.obstaclePool.push(obstacle);
+            }
+        }
+        
+        // Update banners (decorative only)
+        for (let i = this.banners.length - 1; i >= 0; i--) {
+            const banner = this.banners[i];
+            banner.prevX = banner.x;
+            banner.x -= this.scrollSpeed * 0.8; // Slightly slower than obstacles
+            
+            // Animate glow
+            banner.glow += banner.glowDirection * 2;
+            if (banner.glow > 20 || banner.glow < 0) {
+                banner.glowDirection *= -1;
+            }
+            
+            if (banner.x < -250) {
+                this.banners.splice(i, 1);
+                this.bannerPool.push(banner);
+            }
+        }
+        
+        this.updateCollectibles();
+        
+        // Spawn new obstacles
+        if (this.course) {
+            this.spawnCourseItems();
+        } else if (this.obstacles.length === 0 || this.obstacles[this.obstacles.length - 1].x < this.width - this.config.obstacleSpacing) {
+            this.spawnObstacle();
+        }
+        
+        // Check collisions
+        for (let player of live) {
+            const hit = this.checkCollisions(player);
+            if (!hit) continue;
+            
+            if (player.invulnerableTime > 0 || this.config.invincible) {
+                this.deflect(hit, player);
+            } else if (player.powerUps.shield > 0) {
+                // Shield absorbs this hit, then a short grace period to get clear
+                player.powerUps.shield = 0;
+                player.invulnerableTime = 1000;
+                this.deflect(hit, player);
+                this.emit('shieldHit', { tick: this.tick, player: player.index });
+            } else if (this.course) {
+                // Courses always reach the finish; a hit costs time and brings the same grace
+                player.hits++;
+                player.penaltyMs += this.course.hitPenaltyMs;
+                player.invulnerableTime = 1000;
+                this.deflect(hit, player);
+                this.emit('courseHit', { hits: player.hits, tick: this.tick, player: player.index });
+            } else {
+                this.crash(player);
+            }
+        }
+        
+        if (this.course && this.running && this.distance >= this.course.length) {
+            this.finishCourse();
+        }
+    }
+
+    thrust(player = this.players[0]) {
+        const ship = player.spaceship;
+        ship.vy = -8;
+        ship.thrusting = true;
+        ship.thrustTime = this.simTime;
+        this.audio.play('thrust');
+        this.emit('thrust', { tick: this.tick, player: player.index });
+    }
+
+    // Tightest gap clearance while the rocket is alongside the columns
+    trackClearance(player, obstacle, hull) {
+        const ship = player.spaceship;
+        if (obstacle.x >= ship.x + hull.rx || obstacle.x + obstacle.width <= ship.x - hull.rx) return;
+        
+        const hullHalfHeight = ellipseHalfHeight(hull);
+        const above = ship.y - hullHalfHeight - obstacle.topHeight;
+        const below = obstacle.bottomY - ship.y - hullHalfHeight;
+        const clearance = Math.min(above, below);
+        obstacle.minClearance[player.index] = Math.min(obstacle.minClearance[player.index], clearance);
+        if (clearance < this.config.nearMissDistance) {
+            this.emit('graze', {
+                x: ship.x,
+                y: above < below ? obstacle.topHeight : obstacle.bottomY,
+                clearance: clearance,
+                player: player.index
+            });
+        }
+    }
+
+    scorePass(player, obstacle) {
+        const clearance = obstacle.minClearance[player.index];
+        player.obstaclesPassed++;
+        player.score += player.powerUps.multiplier > 0 ? POWER_UPS.multiplier.factor : 1;
+        this.updateScore(player);
+        this.audio.play('score');
+        this.emit('pass', { count: player.obstaclesPassed, clearance: clearance, player: player.index });
+        if (clearance < this.config.nearMissDistance) {
+            player.nearMisses++;
+            this.emit('nearMiss', { clearance: clearance, tick: this.tick, player: player.index });
+        }
+    }
+
+    updatePowerUps() {
+        const dt = this.config.fixedTimestep;
+        for (let player of this.players) {
+            if (player.crashed) continue;
+            
+            for (let type of Object.keys(player.powerUps)) {
+                if (player.powerUps[type] > 0) {
+                    player.powerUps[type] = Math.max(0, player.powerUps[type] - dt);
+                    if (player.powerUps[type] === 0) {
+                        this.emit('powerUpEnd', { type: type, player: player.index });
+                    }
+                }
+            }
+            player.invulnerableTime = Math.max(0, player.invulnerableTime - dt);
+        }
+        
+        // Slow-mo scales the scroll speed without touching the difficulty curve;
+        // the field is shared, so either rocket's slows it for both
+        const slowMo = this.players.some(player => !player.crashed && player.powerUps.slowMo > 0);
+        this.scrollSpeed = this.currentSpeed * (slowMo ? POWER_UPS.slowMo.speedScale : 1);
+    }
+
+    // Pickups and orbs go to the first rocket to reach them
+    updateCollectibles() {
+        const live = this.players.filter(player => !player.crashed);
+        
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
+            pickup.prevX = pickup.x;
+            pickup.x -= this.scrollSpeed;
+            
+            const player = live.find(p => Math.hypot(pickup.x - p.spaceship.x, pickup.y - p.spaceship.y) < 26);
+            if (player) {
+                this.pickups.splice(i, 1);
+                player.powerUps[pickup.type] = POWER_UPS[pickup.type].duration;
+                this.audio.play('powerUp');
+                this.emit('powerUp', { type: pickup.type, player: player.index });
+            } else if (pickup.x < -50) {
+                this.pickups.splice(i, 1);
+            }
+        }
+        
+        for (let i = this.orbs.length - 1; i >= 0; i--) {
+            const orb = this.orbs[i];
+            orb.prevX = orb.x;
+            orb.prevY = orb.y;
+            orb.x -= this.scrollSpeed;
+            
+            let collector = null;
+            for (let player of live) {
+                const ship = player.spaceship;
+                
+                // Magnet pulls nearby orbs toward the rocket
+                const distance = Math.hypot(ship.x - orb.x, ship.y - orb.y);
+                if (player.powerUps.magnet > 0 && distance < POWER_UPS.magnet.radius && distance > 0) {
+                    const pull = Math.min(distance, 6);
+                    orb.x += (ship.x - orb.x) / distance * pull;
+                    orb.y += (ship.y - orb.y) / distance * pull;
+                }
+                
+                if (distance < 18) {
+                    collector = player;
+                    break;
+                }
+            }
+            
+            if (collector) {
+                this.orbs.splice(i, 1);
+                collector.score++;
+                this.updateScore(collector);
+                this.emit('orb', { x: orb.x, y: orb.y, player: collector.index });
+            } else if (orb.x < -20) {
+                this.orbs.splice(i, 1);
+            }
+        }
+    }
+
+    // Pushes the rocket back inside the playfield after an absorbed boundary hit
+    deflect(hit, player = this.players[0]) {
+        const ship = player.spaceship;
+        const halfHeight = ellipseHalfHeight(this.getRocketHull(player));
+        
+        if (hit === 'ceiling') {
+            ship.y = halfHeight;
+            ship.vy = Math.max(0, ship.vy);
+        } else if (hit === 'floor') {
+            ship.y = this.height - halfHeight;
+            ship.vy = -8;
+        }
+    }
+
+    finishCourse() {
+        this.running = false;
+        this.finished = true;
+        this.emit('finish', { time: this.courseTime, hits: this.hits, score: this.score, tick: this.tick });
+    }
+
+    // Finishing time so far, hit penalties included
+    get courseTime() {
+        return this.simTime + this.penaltyMs;
+    }
+
+    crash(player = this.players[0]) {
+        player.crashed = true;
+        player.crashTick = this.tick;
+        if (this.players.every(p => p.crashed)) {
+            this.running = false;
+        }
+        this.audio.play('crash');
+        this.emit('crash', { score: player.score, tick: this.tick, player: player.index });
+    }
+
+    updateDifficulty() {
+        // Courses set their own pace with speed segments instead of the curve
+        if (this.course) {
+            const speeds = this.course.speeds;
+            while (this.courseNext.speeds < speeds.length && speeds[this.courseNext.speeds].at <= this.distance) {
+                this.currentSpeed = speeds[this.courseNext.speeds++].speed;
+            }
+            return;
+        }
+        
+        // Simulation time, so every refresh rate follows the same curve
+        const elapsed = this.simTime;
+        
+        if (elapsed > this.config.easyDuration) {
+            const difficultyLevel = Math.floor((elapsed - this.config.easyDuration) / this.config.difficultyInterval);
+            const multiplier = Math.pow(1 + this.config.difficultyIncrease, difficultyLevel);
+            
+            // Level 0 is the easy phase; each interval after it adds one
+            if (difficultyLevel + 1 !== this.difficultyLevel) {
+                this.difficultyLevel = difficultyLevel + 1;
+                this.emit('level', { level: this.difficultyLevel });
+            }
+            this.currentSpeed = this.config.baseSpeed * multiplier;
+            this.currentGap = Math.max(this.config.minGap, this.config.baseGap / multiplier);
+        }
+    }
+
+    pickObstacleType() {
+        const roll = this.rng.next();
+        let threshold = 0;
+        
+        for (let pattern of OBSTACLE_PATTERNS) {
+            if (this.difficultyLevel < pattern.minLevel) continue;
+            threshold += pattern.weight;
+            if (roll < threshold) {
+                return pattern.type;
+            }
+        }
+        
+        return 'static';
+    }
+
+    spawnObstacle() {
+        const type = this.pickObstacleType();
+        let gapHeight = this.height * this.currentGap;
+        
+        // Orbiting boulders need extra room; double gates squeeze through less
+        if (type === 'orbiter') {
+            gapHeight = Math.min(gapHeight * 1.35, this.height - 140);
+        } else if (type === 'doubleGate') {
+            gapHeight *= 0.85;
+        }
+        
+        const gapY = this.rng.next() * (this.height - gapHeight - 100) + 50;
+        
+        // Spawn slice banner occasionally
+        if (this.rng.next() < this.config.bannerFrequency) {
+            this.spawnBanner(gapY + gapHeight / 2);
+        }
+        
+        this.obstacles.push(this.createObstacle(type, this.width, gapY, gapHeight));
+        this.spawnCollectibles(type, gapY + gapHeight / 2);
+        
+        if (type === 'doubleGate') {
+            // Second gate close behind, its gap nudged so the line has to bend
+            const shift = this.rng.range(-30, 30);
+            const secondGapY = Math.max(50, Math.min(this.height - 50 - gapHeight, gapY + shift));
+            this.obstacles.push(this.createObstacle(type, this.width + 110, secondGapY, gapHeight));
+        }
+    }
+
+    // Course entries are placed by the distance at which they reach the rocket,
+    // so a layout flies the same at every screen width; each spawns just off
+    // the right edge, or further in when the course starts with it on screen
+    spawnCourseItems() {
+        const course = this.course;
+        const next = this.courseNext;
+        const ship = this.spaceship;
+        const horizon = this.distance + this.width + 60 - ship.x;
+        
+        while (next.obstacles < course.obstacles.length && course.obstacles[next.obstacles].at <= horizon) {
+            const entry = course.obstacles[next.obstacles++];
+            const x = ship.x + entry.at - this.distance;
+            const gapY = entry.gapY * this.height;
+            const gapHeight = entry.gap * this.height;
+            this.obstacles.push(this.createObstacle(entry.type, x, gapY, gapHeight));
+            
+            if (entry.pickup) {
+                this.pickups.push({
+                    type: entry.pickup,
+                    x: x + 25,
+                    prevX: x + 25,
+                    y: gapY + gapHeight / 2,
+                    phase: this.rng.next() * Math.PI * 2
+                });
+            }
+        }
+        
+        while (next.banners < course.banners.length && course.banners[next.banners].at <= horizon + 100) {
+            const entry = course.banners[next.banners++];
+            this.spawnBanner(entry.y * this.height, ship.x + entry.at - this.distance);
+        }
+    }
+
+    spawnCollectibles(type, gapCenterY) {
+        const rng = this.rng;
+        
+        // Power-ups float in the gap itself, clear of orbiting boulders
+        if (type !== 'orbiter' && rng.next() < this.config.powerUpFrequency) {
+            const x = this.width + 25;
+            this.pickups.push({
+                type: this.pickPowerUpType(),
+                x: x,
+                prevX: x,
+                y: gapCenterY,
+                phase: rng.next() * Math.PI * 2
+            });
+        }
+        
+        // Bonus orbs trail between columns, sometimes off the safe line
+        if (type !== 'doubleGate' && rng.next() < this.config.orbFrequency) {
+            const y = Math.max(30, Math.min(this.height - 30, gapCenterY + rng.range(-90, 90)));
+            for (let i = 0; i < 3; i++) {
+                const x = this.width + 110 + i * 22;
+                this.orbs.push({ x: x, prevX: x, y: y, prevY: y });
+            }
+        }
+    }
+
+    pickPowerUpType() {
+        const weights = this.config.powerUpWeights;
+        const types = Object.keys(POWER_UPS).filter(type => weights[type] > 0);
+        const total = types.reduce((sum, type) => sum + weights[type], 0);
+        let roll = this.rng.next() * total;
+        
+        for (let type of types) {
+            roll -= weights[type];
+            if (roll < 0) {
+                return type;
+            }
+        }
+        return types[types.length - 1];
+    }
+
+    createObstacle(type, x, gapY, gapHeight) {
+        const rng = this.rng;
+        const obstacle = this.obstaclePool.pop() || {
+            profile: { top: { edge: [], depth: [] }, bottom: { edge: [], depth: [] } },
+            boulders: []
+        };
+        obstacle.serial = ++this.serial;
+        obstacle.type = type;
+        obstacle.x = x;
+        obstacle.prevX = x;
+        obstacle.width = 50;
+        obstacle.gapHeight = gapHeight;
+        obstacle.baseGapY = gapY;
+        obstacle.topHeight = 0;
+        obstacle.bottomY = 0;
+        obstacle.bottomHeight = 0;
+        obstacle.scored = false;
+        obstacle.minClearance = this.players.map(() => Infinity); // by player
+        obstacle.rotation = rng.next() * Math.PI * 2;
+        this.fillColumnProfile(obstacle.profile.top);
+        this.fillColumnProfile(obstacle.profile.bottom);
+        obstacle.boulders.length = 0;
+        obstacle.drift = null;
+        obstacle.orbit = null;
+        
+        // Decorative boulders sit fully inside the column rock
+        for (let column of ['top', 'bottom']) {
+            const count = Math.floor(rng.range(0, 3));
+            for (let i = 0; i < count; i++) {
+                const radius = rng.range(8, 14);
+                obstacle.boulders.push({
+                    column: column,
+                    offsetX: obstacle.width / 2 + rng.range(-5, 5),
+                    depth: radius + 10 + i * 30 + rng.range(0, 10),
+                    radius: radius,
+                    spin: rng.next() < 0.5 ? -1 : 1,
+                    points: createRockPolygon(rng, radius)
+                });
+            }
+        }
+        
+        if (type === 'drifting') {
+            const room = Math.min(gapY - 50, this.height - 50 - (gapY + gapHeight));
+            const amplitude = Math.min(rng.range(25, 60), room);
+            if (amplitude > 10) {
+                obstacle.drift = {
+                    amplitude: amplitude,
+                    speed: rng.range(0.02, 0.04),
+                    phase: rng.next() * Math.PI * 2
+                };
+            }
+        } else if (type === 'orbiter') {
+            const size = rng.range(10, 14);
+            obstacle.orbit = {
+                radius: gapHeight * 0.28,
+                size: size,
+                speed: rng.range(0.03, 0.05) * (rng.next() < 0.5 ? -1 : 1),
+                angle: rng.next() * Math.PI * 2,
+                points: createRockPolygon(rng, size, 7)
+            };
+        }
+        
+        this.applyGap(obstacle, gapY);
+        return obstacle;
+    }
+
+    // Inward jitter (never into the gap) that gives a column its rocky outline
+    fillColumnProfile(profile) {
+        for (let i = 0; i < 6; i++) {
+            profile.edge[i] = this.rng.range(0, 6);
+        }
+        for (let i = 0; i < 4; i++) {
+            profile.depth[i] = this.rng.range(0, 8);
+        }
+    }
+
+    applyGap(obstacle, gapY) {
+        obstacle.topHeight = gapY;
+        obstacle.bottomY = gapY + obstacle.gapHeight;
+        obstacle.bottomHeight = this.height - obstacle.bottomY;
+    }
+
+    updateObstacleMotion(obstacle) {
+        if (obstacle.drift) {
+            obstacle.drift.phase += obstacle.drift.speed;
+            this.applyGap(obstacle, obstacle.baseGapY + Math.sin(obstacle.drift.phase) * obstacle.drift.amplitude);
+        }
+        
+        if (obstacle.orbit) {
+            obstacle.orbit.angle += obstacle.orbit.speed;
+        }
+    }
+
+    // meta is free for the host (e.g. the sponsor shown) and cleared on reuse
+    spawnBanner(y, x = this.width + 50) {
+        const banner = this.bannerPool.pop() || {};
+        banner.serial = ++this.serial;
+        banner.x = x;
+        banner.prevX = x;
+        banner.y = y;
+        banner.width = 200;
+        banner.height = 40;
+        banner.glow = 0;
+        banner.glowDirection = 1;
+        banner.meta = null;
+        this.banners.push(banner);
+    }
+
+    // Collision hull for the rocket in world space, shrunk by the forgiveness margin
+    getRocketHull(player = this.players[0]) {
+        const margin = this.config.collisionForgiveness;
+        const ship = player.spaceship;
+        return {
+            x: ship.x,
+            y: ship.y,
+            rx: Math.max(1, ROCKET_HULL.rx - margin),
+            ry: Math.max(1, ROCKET_HULL.ry - margin),
+            rotation: ship.rotation
+        };
+    }
+
+    // Column outline running from the screen edge (baseY) to the gap lip (lipY)
+    getColumnPolygon(obstacle, profile, baseY, lipY) {
+        const x = obstacle.x;
+        const w = obstacle.width;
+        const dir = lipY >= baseY ? 1 : -1;
+        const lip = (i) => {
+            const y = lipY - dir * profile.depth[i];
+            return dir > 0 ? Math.max(baseY, y) : Math.min(baseY, y);
+        };
+        const midY = (baseY + lipY) / 2;
+        const edge = profile.edge;
+        
+        return [
+            { x: x + edge[0], y: baseY },
+            { x: x + w - edge[1], y: baseY },
+            { x: x + w - edge[2], y: midY },
+            { x: x + w - edge[3], y: lip(0) },
+            { x: x + w * 0.66, y: lip(1) },
+            { x: x + w * 0.33, y: lip(2) },
+            { x: x + edge[4], y: lip(3) },
+            { x: x + edge[5], y: midY }
+        ];
+    }
+
+    getOrbiterPosition(obstacle) {
+        const orbit = obstacle.orbit;
+        return {
+            x: obstacle.x + obstacle.width / 2 + Math.cos(orbit.angle) * orbit.radius,
+            y: obstacle.topHeight + obstacle.gapHeight / 2 + Math.sin(orbit.angle) * orbit.radius
+        };
+    }
+
+    // Solid shapes of an obstacle as world-space polygons
+    getObstacleShapes(obstacle) {
+        const shapes = [
+            this.getColumnPolygon(obstacle, obstacle.profile.top, 0, obstacle.topHeight),
+            this.getColumnPolygon(obstacle, obstacle.profile.bottom, this.height, obstacle.bottomY)
+        ];
+        
+        if (obstacle.orbit) {
+            const center = this.getOrbiterPosition(obstacle);
+            shapes.push(transformPolygon(obstacle.orbit.points, center.x, center.y, obstacle.rotation * 2));
+        }
+        
+        return shapes;
+    }
+
+    // Returns what was hit ('obstacle', 'ceiling' or 'floor'), or false
+    checkCollisions(player = this.players[0]) {
+        const hull = this.getRocketHull(player);
+        const reach = Math.max(hull.rx, hull.ry);
+        
+        // Check obstacle collisions only (banners are decorative)
+        for (let obstacle of this.obstacles) {
+            // Cheap horizontal reject before the exact shape test
+            const pad = obstacle.orbit ? obstacle.orbit.radius + obstacle.orbit.size : 0;
+            if (hull.x + reach < obstacle.x - pad || hull.x - reach > obstacle.x + obstacle.width + pad) continue;
+            
+            for (let shape of this.getObstacleShapes(obstacle)) {
+                if (ellipseIntersectsPolygon(hull, shape)) {
+                    return 'obstacle';
+                }
+            }
+        }
+        
+        // Check boundary collisions
+        const halfHeight = ellipseHalfHeight(hull);
+        if (hull.y - halfHeight < 0) {
+            return 'ceiling';
+        }
+        if (hull.y + halfHeight > this.height) {
+            return 'floor';
+        }
+        
+        return false;
+    }
+
+    updateScore(player = this.players[0]) {
+        this.emit('score', { score: player.score, player: player.index });
+        
+        if (this.trackBest && player.score > this.bestScore) {
+            this.bestScore = player.score;
+            this.emit('bestScore', { bestScore: this.bestScore });
+        }
+    }
+}
+
+// Captures the seed and the tick of every thrust so a run can be re-simulated
+class RunRecorder {
+    constructor(engine) {
+        this.engine = engine;
+        this.run = null;
+        
+        engine.on('thrust', ({ tick }) => {
+            if (this.run) {
+                this.run.thrusts.push(tick);
+            }
+        });
+        
+        engine.on('hold', ({ tick, value }) => {
+            if (this.run) {
+                this.run.holds.push([tick, value]);
+            }
+        });
+    }
+
+    start(meta = {}) {
+        const config = {};
+        for (let key of Object.keys(DEFAULT_CONFIG)) {
+            config[key] = this.engine.config[key];
+        }
+        
+        this.run = Object.assign({
+            version: REPLAY_VERSION,
+            seed: this.engine.seed,
+            width: this.engine.width,
+            height: this.engine.height,
+            config: config,
+            thrusts: [],
+            holds: []
+        }, meta);
+    }
+
+    finish() {
+        const run = this.run;
+        if (!run) return null;
+        
+        run.ticks = this.engine.tick;
+        run.score = this.engine.score;
+        run.recordedAt = this.engine.clock.now();
+        this.run = null;
+        return run;
+    }
+}
+
+// Re-simulates a recorded run tick by tick on a private engine
+class ReplayPlayer {
+    constructor(run, options = {}) {
+        if (!run || run.version !== REPLAY_VERSION) {
+            throw new Error('Unsupported replay format');
+        }
+        
+        this.run = run;
+        this.thrustTicks = new Set(run.thrusts);
+        // Runs recorded before hold-to-thrust simply have no hold changes
+        this.holdChanges = new Map(run.holds || []);
+        this.hold = 0;
+        this.onStep = options.onStep || (() => {});
+        this.onRewind = options.onRewind || (() => {});
+        this.engine = new GameEngine({
+            width: run.width,
+            height: run.height,
+            config: run.config,
+            seed: run.seed,
+            audio: options.audio
+        });
+        
+        // Course runs re-fly their layout, which travels with the recording
+        if (run.course) {
+            this.engine.reset(run.seed, { course: run.course });
+        }
+    }
+
+    get tick() {
+        return this.engine.tick;
+    }
+
+    get finished() {
+        return !this.engine.running || this.engine.tick >= this.run.ticks;
+    }
+
+    rewind() {
+        this.engine.reset(this.run.seed, { course: this.run.course });
+        this.hold = 0;
+        this.onRewind(this.run);
+    }
+
+    advance() {
+        if (this.finished) return false;
+        
+        const tick = this.engine.tick + 1;
+        if (this.holdChanges.has(tick)) {
+            this.hold = this.holdChanges.get(tick);
+        }
+        this.engine.step({ thrust: this.thrustTicks.has(tick), hold: this.hold });
+        this.onStep(this.engine);
+        return true;
+    }
+
+    // Scrubbing backwards re-simulates from the start; runs are cheap to replay
+    seek(tick) {
+        if (tick < this.engine.tick) {
+            this.rewind();
+        }
+        
+        while (this.engine.tick < tick && this.advance()) {
+            // advance until the requested tick or the end of the run
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GameEngine,
+        SeededRandom,
+        RunRecorder,
+        ReplayPlayer,
+        DEFAULT_CONFIG,
+        POWER_UPS,
+        ROCKET_HULL,
+        ellipseIntersectsPolygon,
+        ellipseHalfHeight,
+        rectPolygon,
+        createRockPolygon,
+        transformPolygon,
+        createMemoryStorage
+    };
+}
@@ -0,0 +1,234 @@
+// Flappy Rocket — Nebula Edition
+// Input manager: folds keyboard, mouse, touch and gamepads into named actions
+// (thrust, player two's thrust, pause, confirm, back, plus menu navigation)
+// with remappable bindings
+
+// keys are KeyboardEvent.code values; buttons are standard-mapping gamepad indices
+const DEFAULT_BINDINGS = {
+    thrust: { keys: ['Space', 'ArrowUp', 'KeyW'], buttons: [0, 7] },
+    pause: { keys: ['Escape', 'KeyP'], buttons: [9] },
+    confirm: { keys: ['Enter'], buttons: [0] },
+    back: { keys: ['Escape', 'Backspace'], buttons: [1, 8] },
+    thrust2: { keys: ['Enter', 'NumpadEnter'], buttons: [] } // versus only
+};
+
+const THRUST_ACTIONS = ['thrust', 'thrust2'];
+
+// Menu navigation is fixed: arrow keys, the d-pad and the left stick
+const NAVIGATION_KEYS = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+const NAVIGATION_BUTTONS = { 12: 'up', 13: 'down', 14: 'left', 15: 'right' };
+
+const STICK_DEADZONE = 0.5;
+const NAVIGATION_REPEAT_MS = 250;
+
+class InputManager {
+    constructor(options = {}) {
+        this.surface = options.surface;
+        this.bindings = InputManager.normalizeBindings(options.bindings);
+        this.onAction = options.onAction || (() => {});
+        
+        // Held sources feed the analog hold-to-thrust value; pointers are kept
+        // by id with their clientX so two thumbs can hold two halves at once
+        this.heldKeys = new Set();
+        this.pointers = new Map();
+        this.gamepadHold = 0;
+        
+        this.buttonState = {};
+        this.stickDirection = null;
+        this.stickRepeatAt = 0;
+        this.capture = null;
+        
+        this.attach();
+    }
+
+    // Fills in any action missing from saved bindings with the defaults
+    static normalizeBindings(bindings) {
+        const result = {};
+        for (let action of Object.keys(DEFAULT_BINDINGS)) {
+            const binding = (bindings && bindings[action]) || DEFAULT_BINDINGS[action];
+            result[action] = { keys: binding.keys.slice(), buttons: binding.buttons.slice() };
+        }
+        return result;
+    }
+
+    attach() {
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        document.addEventListener('keyup', (e) => this.heldKeys.delete(e.code));
+        window.addEventListener('blur', () => this.releaseAll());
+        
+        // Pointer events cover mouse, pen and touch alike
+        this.surface.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.pointers.set(e.pointerId, e.clientX);
+            this.onAction('thrust', { source: 'pointer', x: e.clientX, y: e.clientY });
+        });
+        for (let type of ['pointerup', 'pointercancel', 'pointerleave']) {
+            this.surface.addEventListener(type, (e) => {
+                this.pointers.delete(e.pointerId);
+            });
+        }
+        
+        // Stop touches from scrolling or zooming the page
+        this.surface.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
+    }
+
+    releaseAll() {
+        this.heldKeys.clear();
+        this.pointers.clear();
+        this.gamepadHold = 0;
+    }
+
+    actionsForKey(code) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].keys.includes(code));
+    }
+
+    // onAction returns true when the game consumed the action; anything it
+    // leaves alone keeps its native behaviour (e.g. Enter on a focused button)
+    handleKeyDown(e) {
+        if (this.capture) {
+            e.preventDefault();
+            this.finishCapture({ key: e.code });
+            return;
+        }
+        
+        // Leave typing in text fields (e.g. leaderboard initials) alone
+        const target = e.target;
+        if (target.tagName === 'INPUT' && target.type !== 'range' && target.type !== 'checkbox') return;
+        
+        const actions = this.actionsForKey(e.code);
+        if (actions.some(action => THRUST_ACTIONS.includes(action))) {
+            this.heldKeys.add(e.code);
+        }
+        
+        // Held arrows keep moving focus; other actions fire once per press
+        const navigation = NAVIGATION_KEYS[e.code];
+        if (e.repeat) {
+            actions.length = 0;
+        }
+        if (navigation) {
+            actions.push(navigation);
+        }
+        
+        // The first action that takes the key ends it, so Escape that pauses
+        // doesn't go on to act as back and resume straight away
+        const handled = actions.some(action => this.onAction(action, { source: 'keyboard', target: target }));
+        if (handled) {
+            e.preventDefault();
+        }
+    }
+
+    // Analog thrust level from 0 to 1; gamepad triggers give partial values.
+    // pointerFilter picks the held pointers that count by clientX, e.g. one
+    // half of the screen in versus
+    holdValue(action = 'thrust', pointerFilter = () => true) {
+        const keys = this.bindings[action].keys;
+        for (let x of this.pointers.values()) {
+            if (pointerFilter(x)) return 1;
+        }
+        for (let code of this.heldKeys) {
+            if (keys.includes(code)) return 1;
+        }
+        return action === 'thrust' ? this.gamepadHold : 0;
+    }
+
+    // Call once per animation frame; the Gamepad API has no button events
+    poll(now = performance.now()) {
+        if (!navigator.getGamepads) return;
+        
+        let hold = 0;
+        for (let pad of navigator.getGamepads()) {
+            if (!pad || !pad.connected) continue;
+            
+            pad.buttons.forEach((button, index) => {
+                const key = `${pad.index}:${index}`;
+                const wasPressed = !!this.buttonState[key];
+                this.buttonState[key] = button.pressed;
+                
+                if (this.bindings.thrust.buttons.includes(index)) {
+                    // Quantised so the recorded hold only changes on real movement
+                    hold = Math.max(hold, Math.round(button.value * 20) / 20);
+                }
+                if (!button.pressed || wasPressed) return;
+                
+                if (this.capture) {
+                    this.finishCapture({ button: index });
+                    return;
+                }
+                for (let action of Object.keys(this.bindings)) {
+                    if (this.bindings[action].buttons.includes(index)) {
+                        this.onAction(action, { source: 'gamepad' });
+                    }
+                }
+                if (NAVIGATION_BUTTONS[index]) {
+                    this.onAction(NAVIGATION_BUTTONS[index], { source: 'gamepad' });
+                }
+            });
+            
+            this.pollStick(pad, now);
+        }
+        this.gamepadHold = hold;
+    }
+
+    // Turns the left stick into repeating up/down/left/right presses
+    pollStick(pad, now) {
+        const [x = 0, y = 0] = pad.axes;
+        let direction = null;
+        if (Math.abs(y) > STICK_DEADZONE && Math.abs(y) >= Math.abs(x)) {
+            direction = y < 0 ? 'up' : 'down';
+        } else if (Math.abs(x) > STICK_DEADZONE) {
+            direction = x < 0 ? 'left' : 'right';
+        }
+        
+        if (direction && (direction !== this.stickDirection || now >= this.stickRepeatAt)) {
+            this.onAction(direction, { source: 'gamepad' });
+            this.stickRepeatAt = now + NAVIGATION_REPEAT_MS;
+        }
+        this.stickDirection = direction;
+    }
+
+    // Resolves with the next key or gamepad button pressed, or null when cancelled
+    captureNext() {
+        this.cancelCapture();
+        return new Promise(resolve => {
+            this.capture = resolve;
+        });
+    }
+
+    cancelCapture() {
+        if (this.capture) {
+            this.finishCapture(null);
+        }
+    }
+
+    finishCapture(input) {
+        const resolve = this.capture;
+        this.capture = null;
+        resolve(input);
+    }
+
+    // A new key or button becomes the action's primary binding
+    rebind(action, input) {
+        const binding = this.bindings[action];
+        if (input.key) {
+            binding.keys = [input.key, ...binding.keys.filter(k => k !== input.key)].slice(0, 3);
+        } else if (input.button !== undefined) {
+            binding.buttons = [input.button, ...binding.buttons.filter(b => b !== input.button)].slice(0, 2);
+        }
+    }
+
+    resetBindings() {
+        this.bindings = InputManager.normalizeBindings(null);
+    }
+
+    static describeKey(code) {
+        const names = { Escape: 'Esc', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+        return names[code] || code.replace(/^Key|^Digit/, '');
+    }
+
+    describe(action) {
+        const binding = this.bindings[action];
+        const keys = binding.keys.map(code => InputManager.describeKey(code));
+        const buttons = binding.buttons.map(index => `🎮${index}`);
+        return keys.concat(buttons).join(' / ');
+    }
+}
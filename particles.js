@@ -0,0 +1,174 @@
+// Flappy Rocket — Nebula Edition
+// Particle system: pooled particles spawned by named, data-defined emitters
+
+// count: particles per burst; interval: ticks between bursts when streamed
+// direction/spread: launch angle and its random spread in radians
+// speed/life/size: [min, max] ranges; life is in ticks, size is a radius
+// ring: draws an expanding outline from size[0] to size[1] instead of a dot
+// drag: velocity kept per tick; gravity: added to vy per tick
+const PARTICLE_EMITTERS = {
+    exhaust: {
+        count: 1,
+        interval: 2,
+        direction: Math.PI,
+        spread: 0.5,
+        speed: [0.5, 1.5],
+        life: [15, 25],
+        size: [1.5, 2.5],
+        drag: 0.96,
+        gravity: 0,
+        colors: ['hsl(30, 100%, 60%)', 'hsl(15, 100%, 55%)', 'hsl(45, 100%, 70%)']
+    },
+    sparkle: {
+        count: 12,
+        direction: 0,
+        spread: Math.PI * 2,
+        speed: [1, 3],
+        life: [20, 35],
+        size: [1, 2.5],
+        drag: 0.93,
+        gravity: 0,
+        colors: ['#ffd93d', '#ffffff', '#b794f6']
+    },
+    debris: {
+        count: 24,
+        direction: 0,
+        spread: Math.PI * 2,
+        speed: [2, 6],
+        life: [40, 70],
+        size: [2, 4],
+        drag: 0.98,
+        gravity: 0.2,
+        colors: ['hsl(15, 100%, 50%)', 'hsl(40, 100%, 55%)', 'hsl(60, 100%, 60%)', '#e2e8f0']
+    },
+    shockwave: {
+        count: 1,
+        ring: true,
+        direction: 0,
+        spread: 0,
+        speed: [0, 0],
+        life: [35, 35],
+        size: [8, 90],
+        drag: 1,
+        gravity: 0,
+        colors: ['#ffffff']
+    },
+    dust: {
+        count: 2,
+        interval: 3,
+        direction: 0,
+        spread: Math.PI,
+        speed: [0.3, 1.2],
+        life: [15, 25],
+        size: [1, 2],
+        drag: 0.95,
+        gravity: 0.05,
+        colors: ['#9a9a9a', '#cfcfcf', '#6e6e6e']
+    }
+};
+
+class ParticleSystem {
+    constructor(options = {}) {
+        this.emitters = options.emitters || PARTICLE_EMITTERS;
+        this.maxParticles = options.maxParticles || 200;
+        this.scale = 1;
+        this.particles = [];
+        this.pool = [];
+        this.timers = {};
+    }
+
+    // Lower quality shrinks both the particle cap and every burst
+    setQuality(scale) {
+        this.scale = scale;
+    }
+
+    // One burst from the named emitter. options may override any preset field
+    // and add vx/vy, the velocity of whatever the burst comes from
+    emit(name, x, y, options = {}) {
+        const preset = Object.assign({}, this.emitters[name], options);
+        const range = ([min, max]) => min + Math.random() * (max - min);
+        const limit = this.maxParticles * this.scale;
+        const count = preset.ring ? preset.count : Math.max(1, Math.round(preset.count * this.scale));
+        
+        for (let i = 0; i < count && this.particles.length < limit; i++) {
+            const angle = preset.direction + (Math.random() - 0.5) * preset.spread;
+            const speed = range(preset.speed);
+            const life = Math.round(range(preset.life));
+            const particle = this.pool.pop() || {};
+            particle.x = x;
+            particle.y = y;
+            particle.vx = Math.cos(angle) * speed + (options.vx || 0);
+            particle.vy = Math.sin(angle) * speed + (options.vy || 0);
+            particle.drag = preset.drag;
+            particle.gravity = preset.gravity;
+            particle.ring = !!preset.ring;
+            particle.size = preset.ring ? preset.size[0] : range(preset.size);
+            particle.endSize = preset.size[1];
+            particle.life = life;
+            particle.maxLife = life;
+            particle.color = preset.colors[Math.floor(Math.random() * preset.colors.length)];
+            this.particles.push(particle);
+        }
+    }
+
+    // Call every tick for a continuous effect; bursts every `interval` ticks.
+    // options.timer keeps separate counts when several sources share an emitter
+    stream(name, x, y, options = {}) {
+        const interval = options.interval || this.emitters[name].interval || 1;
+        const timer = options.timer || name;
+        this.timers[timer] = (this.timers[timer] || 0) + 1;
+        if (this.timers[timer] < interval) return;
+        
+        this.timers[timer] = 0;
+        this.emit(name, x, y, options);
+    }
+
+    // dt is in simulation ticks, so effects can keep playing outside the game loop
+    update(dt = 1) {
+        const particles = this.particles;
+        for (let i = particles.length - 1; i >= 0; i--) {
+            const particle = particles[i];
+            particle.life -= dt;
+            
+            // Draw order doesn't matter, so swap the last one into the gap
+            if (particle.life <= 0) {
+                particles[i] = particles[particles.length - 1];
+                particles.pop();
+                this.pool.push(particle);
+                continue;
+            }
+            
+            const drag = Math.pow(particle.drag, dt);
+            particle.vx *= drag;
+            particle.vy = particle.vy * drag + particle.gravity * dt;
+            particle.x += particle.vx * dt;
+            particle.y += particle.vy * dt;
+        }
+    }
+
+    draw(ctx) {
+        for (let particle of this.particles) {
+            const progress = 1 - particle.life / particle.maxLife;
+            ctx.globalAlpha = 1 - progress;
+            if (particle.ring) {
+                ctx.strokeStyle = particle.color;
+                ctx.lineWidth = 4 * (1 - progress) + 1;
+                ctx.beginPath();
+                ctx.arc(particle.x, particle.y, particle.size + (particle.endSize - particle.size) * progress, 0, Math.PI * 2);
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = particle.color;
+                ctx.beginPath();
+                ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    clear() {
+        this.pool.push(...this.particles);
+        this.particles.length = 0;
+        this.timers = {};
+    }
+}
@@ -0,0 +1,260 @@
+// Flappy Rocket — Nebula Edition
+// Player profile: one versioned JSON document holding preferences and progress,
+// migrated forward on load and exportable so players can move it between devices
+
+const PROFILE_KEY = 'flappyRocketProfile';
+const PROFILE_VERSION = 8;
+
+// Raw keys written by builds before the profile store existed
+const LEGACY_PROFILE_KEYS = [
+    'flappyRocketBest',
+    'flappyRocketSkin',
+    'flappyRocketMuted',
+    'flappyRocketGhostMode',
+    'flappyRocketGhost',
+    'flappyRocketReplays',
+    'flappyRocketDaily',
+    'flappyRocketBannerStats'
+];
+
+function defaultProfile() {
+    return {
+        version: PROFILE_VERSION,
+        bestScore: 0,
+        settings: {
+            skin: 'red',
+            versusSkin: 'blue',
+            muted: false,
+            ghostMode: false,
+            initials: '',
+            volume: { master: 0.8, music: 0.6, sfx: 0.8 },
+            controlScheme: 'tap',
+            bindings: null,
+            reducedMotion: null, // null follows the OS preference
+            highContrast: false,
+            assistSpeed: 1,
+            difficulty: 'normal',
+            adaptiveDifficulty: false,
+            quality: 'auto',
+            portraitPause: false
+        },
+        ghost: null,
+        replays: [],
+        daily: { streak: 0, lastPlayed: null, history: [] },
+        bannerStats: {},
+        records: {
+            top: [],
+            assistedTop: [],
+            tunedTop: [],
+            history: [],
+            totals: { runs: 0, score: 0, flightMs: 0, thrusts: 0 }
+        },
+        achievements: {
+            unlocked: {},
+            progress: {},
+            lifetime: { runs: 0, thrusts: 0, passes: 0, nearMisses: 0, skins: [] }
+        },
+        adaptive: { rating: 0, recent: [] },
+        // The course open in the editor, and best finishes keyed by courseKey();
+        // assist-speed finishes are kept apart like the assisted leaderboard
+        courses: { draft: null, best: {}, assistedBest: {} }
+    };
+}
+
+function readLegacyJson(storage, key, fallback) {
+    try {
+        const value = JSON.parse(storage.getItem(key));
+        return value === null ? fallback : value;
+    } catch (e) {
+        console.warn(`Dropping unreadable ${key}:`, e);
+        return fallback;
+    }
+}
+
+// Entry n upgrades a profile from version n to n + 1
+const PROFILE_MIGRATIONS = [
+    // 0 → 1: fold the scattered legacy keys into the profile document
+    (profile, storage) => {
+        const migrated = defaultProfile();
+        migrated.version = 1;
+        migrated.bestScore = parseInt(storage.getItem('flappyRocketBest') || '0') || 0;
+        migrated.settings.skin = storage.getItem('flappyRocketSkin') || 'red';
+        migrated.settings.muted = storage.getItem('flappyRocketMuted') === 'true';
+        migrated.settings.ghostMode = storage.getItem('flappyRocketGhostMode') === 'true';
+        migrated.ghost = readLegacyJson(storage, 'flappyRocketGhost', null);
+        migrated.replays = readLegacyJson(storage, 'flappyRocketReplays', []);
+        migrated.daily = Object.assign(migrated.daily, readLegacyJson(storage, 'flappyRocketDaily', {}));
+        migrated.bannerStats = readLegacyJson(storage, 'flappyRocketBannerStats', {});
+        return migrated;
+    },
+    // 1 → 2: start the local leaderboard with the existing best score
+    (profile) => {
+        const records = defaultProfile().records;
+        if (profile.bestScore > 0) {
+            records.top.push({
+                id: 'legacy-best',
+                score: profile.bestScore,
+                durationMs: null,
+                maxLevel: null,
+                thrusts: null,
+                skin: null,
+                mode: 'endless',
+                date: null,
+                initials: null
+            });
+        }
+        return Object.assign({}, profile, { version: 2, records: records });
+    },
+    // 2 → 3: achievements, with lifetime counters carried over from the records
+    (profile) => {
+        const achievements = defaultProfile().achievements;
+        const records = profile.records;
+        achievements.lifetime.runs = records.totals.runs;
+        achievements.lifetime.thrusts = records.totals.thrusts;
+        for (let entry of records.history) {
+            if (entry.skin && !achievements.lifetime.skins.includes(entry.skin)) {
+                achievements.lifetime.skins.push(entry.skin);
+            }
+        }
+        return Object.assign({}, profile, { version: 3, achievements: achievements });
+    },
+    // 3 → 4: a separate leaderboard for assist-speed runs
+    (profile) => {
+        const records = Object.assign({}, profile.records, { assistedTop: [] });
+        return Object.assign({}, profile, { version: 4, records: records });
+    },
+    // 4 → 5: adaptive difficulty starts neutral with no run history
+    (profile) => Object.assign({}, profile, { version: 5, adaptive: defaultProfile().adaptive }),
+    // 5 → 6: custom courses, with no draft or finishes yet
+    (profile) => Object.assign({}, profile, { version: 6, courses: defaultProfile().courses }),
+    // 6 → 7: separate course bests for assist-speed finishes
+    (profile) => {
+        const courses = Object.assign({}, profile.courses, { assistedBest: {} });
+        return Object.assign({}, profile, { version: 7, courses: courses });
+    },
+    // 7 → 8: Casual, Insane and adaptive runs move off the main leaderboard to
+    // their own, split as records.js leaderboardFor() places new runs
+    (profile) => {
+        const tuned = entry => (!!entry.difficulty && entry.difficulty !== 'normal') || !!entry.adaptive;
+        const records = Object.assign({}, profile.records, {
+            top: profile.records.top.filter(entry => !tuned(entry)),
+            tunedTop: profile.records.top.filter(tuned)
+        });
+        return Object.assign({}, profile, { version: 8, records: records });
+    }
+];
+
+// localStorage throws on access in Safari private mode and some embedded
+// webviews, so probe it once and fall back to memory for the session
+function openProfileStorage() {
+    try {
+        const storage = window.localStorage;
+        storage.setItem('flappyRocketProbe', '1');
+        storage.removeItem('flappyRocketProbe');
+        return storage;
+    } catch (e) {
+        console.warn('Storage unavailable, progress will only last this session:', e);
+        return null;
+    }
+}
+
+class ProfileStore {
+    constructor(storage = openProfileStorage()) {
+        this.persistent = !!storage;
+        this.storage = storage || createMemoryStorage();
+        this.data = this.load();
+    }
+
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(this.storage.getItem(PROFILE_KEY));
+        } catch (e) {
+            console.warn('Could not read profile, starting fresh:', e);
+        }
+        
+        if (stored) {
+            try {
+                return this.upgrade(stored, null);
+            } catch (e) {
+                console.warn('Could not upgrade profile, starting fresh:', e);
+                return defaultProfile();
+            }
+        }
+        
+        // First run on this build: migrate the legacy keys, then retire them
+        const profile = this.upgrade({ version: 0 }, this.storage);
+        if (this.write(profile)) {
+            for (let key of LEGACY_PROFILE_KEYS) {
+                this.storage.removeItem(key);
+            }
+        }
+        return profile;
+    }
+
+    // Runs the migrations a profile is missing and fills in any absent fields
+    upgrade(profile, legacyStorage) {
+        if (!profile || typeof profile !== 'object' || typeof profile.version !== 'number') {
+            throw new Error('Not a Flappy Rocket profile');
+        }
+        if (profile.version > PROFILE_VERSION) {
+            throw new Error(`Profile version ${profile.version} is newer than this game supports`);
+        }
+        
+        while (profile.version < PROFILE_VERSION) {
+            profile = PROFILE_MIGRATIONS[profile.version](profile, legacyStorage || createMemoryStorage());
+        }
+        
+        const defaults = defaultProfile();
+        return Object.assign(defaults, profile, {
+            settings: Object.assign(defaults.settings, profile.settings)
+        });
+    }
+
+    write(profile) {
+        try {
+            this.storage.setItem(PROFILE_KEY, JSON.stringify(profile));
+            return true;
+        } catch (e) {
+            console.warn('Could not save profile:', e);
+            return false;
+        }
+    }
+
+    get(key) {
+        return this.data[key];
+    }
+
+    // Returns false when the write fails (e.g. quota), leaving the old value in place
+    set(key, value) {
+        const previous = this.data[key];
+        this.data[key] = value;
+        if (this.write(this.data)) return true;
+        
+        this.data[key] = previous;
+        return false;
+    }
+
+    getSetting(name) {
+        return this.data.settings[name];
+    }
+
+    setSetting(name, value) {
+        this.data.settings[name] = value;
+        return this.write(this.data);
+    }
+
+    exportData() {
+        return Object.assign({ exportedAt: new Date().toISOString() }, this.data);
+    }
+
+    // Replaces the profile with an exported file's contents; throws on bad input
+    importData(text) {
+        const profile = this.upgrade(JSON.parse(text), null);
+        delete profile.exportedAt;
+        if (!this.write(profile)) {
+            throw new Error('Could not save the imported profile');
+        }
+        this.data = profile;
+    }
+}
@@ -0,0 +1,88 @@
+// Flappy Rocket — Nebula Edition
+// Effects quality: levels of visual detail and a frame-time monitor that
+// steps down a level when frames keep running over budget
+
+// particleScale scales the particle cap and burst sizes; starStep draws every
+// nth star; shadows toggles shadowBlur glows; trails toggles skin exhaust trails
+const QUALITY_LEVELS = {
+    high: { particleScale: 1, starStep: 1, shadows: true, trails: true, flames: 3 },
+    medium: { particleScale: 0.5, starStep: 2, shadows: false, trails: true, flames: 2 },
+    low: { particleScale: 0.25, starStep: 3, shadows: false, trails: false, flames: 1 }
+};
+
+const QUALITY_ORDER = ['high', 'medium', 'low'];
+
+const FRAME_BUDGET_MS = 20; // a little over 60 fps, so vsync jitter doesn't count
+const FRAME_SMOOTHING = 0.05; // weight of each new frame in the running average
+const DOWNGRADE_AFTER_MS = 2000; // sustained overrun before dropping a level
+const UPGRADE_AFTER_MS = 15000; // sustained headroom before trying a level up
+const UPGRADE_HEADROOM = 0.6; // fraction of the budget that counts as headroom
+
+class FrameMonitor {
+    constructor(options = {}) {
+        this.level = options.level || 'high';
+        this.onChange = options.onChange || (() => {});
+        this.averageMs = 1000 / 60;
+        this.lastTime = null;
+        this.overMs = 0;
+        this.underMs = 0;
+        this.auto = true;
+        this.ceiling = 'high';
+    }
+
+    // Call once per animation frame; measuring is paused while `active` is false
+    // so menus and hidden tabs don't skew the average
+    sample(now, active) {
+        const last = this.lastTime;
+        this.lastTime = now;
+        if (!active || !this.auto || last === null) return;
+        
+        const frameMs = now - last;
+        if (frameMs <= 0 || frameMs > 250) return;
+        
+        this.averageMs += (frameMs - this.averageMs) * FRAME_SMOOTHING;
+        if (this.averageMs > FRAME_BUDGET_MS) {
+            this.overMs += frameMs;
+            this.underMs = 0;
+        } else if (this.averageMs < FRAME_BUDGET_MS * UPGRADE_HEADROOM) {
+            this.underMs += frameMs;
+            this.overMs = 0;
+        } else {
+            this.overMs = 0;
+            this.underMs = 0;
+        }
+        
+        if (this.overMs > DOWNGRADE_AFTER_MS) {
+            this.shift(1);
+        } else if (this.underMs > UPGRADE_AFTER_MS) {
+            this.shift(-1);
+        }
+    }
+
+    // Moves within QUALITY_ORDER, never above the ceiling the player picked
+    shift(direction) {
+        this.overMs = 0;
+        this.underMs = 0;
+        
+        const index = QUALITY_ORDER.indexOf(this.level) + direction;
+        if (index < QUALITY_ORDER.indexOf(this.ceiling) || index >= QUALITY_ORDER.length) return;
+        
+        this.level = QUALITY_ORDER[index];
+        this.averageMs = FRAME_BUDGET_MS * 0.8;
+        this.onChange(this.level);
+    }
+
+    // 'auto' adapts from high; a fixed choice pins the level
+    setMode(mode) {
+        this.auto = mode === 'auto';
+        this.ceiling = this.auto ? 'high' : mode;
+        if (this.level !== this.ceiling) {
+            this.level = this.ceiling;
+            this.onChange(this.level);
+        }
+    }
+
+    get settings() {
+        return QUALITY_LEVELS[this.level];
+    }
+}
@@ -0,0 +1,102 @@
+// Flappy Rocket — Nebula Edition
+// Local leaderboard and run history, kept in the player profile
+
+const LEADERBOARD_SIZE = 10;
+const RUN_HISTORY_SIZE = 50;
+const LEADERBOARD_NAMES = { top: 'board', assistedTop: 'assisted board', tunedTop: 'difficulty board' };
+
+// Only full-speed Normal runs share the main board, so it agrees with the best score
+function leaderboardFor(entry) {
+    if (entry.assistSpeed < 1) return 'assistedTop';
+    return entry.difficulty !== 'normal' || entry.adaptive ? 'tunedTop' : 'top';
+}
+
+class RunRecords {
+    constructor(profile) {
+        this.profile = profile;
+    }
+
+    get top() {
+        return this.profile.get('records').top;
+    }
+
+    // Runs at reduced assist speed rank on their own board
+    get assistedTop() {
+        return this.profile.get('records').assistedTop;
+    }
+
+    // Casual, Insane and adaptive runs share a board of their own
+    get tunedTop() {
+        return this.profile.get('records').tunedTop;
+    }
+
+    get history() {
+        return this.profile.get('records').history;
+    }
+
+    // Records a finished run; returns its id, its board and its index there (-1 if it missed the board)
+    addRun(run) {
+        const records = this.profile.get('records');
+        const entry = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            score: run.score,
+            durationMs: Math.round(run.durationMs),
+            maxLevel: run.maxLevel,
+            thrusts: run.thrusts,
+            skin: run.skin,
+            mode: run.mode,
+            assistSpeed: run.assistSpeed || 1,
+            difficulty: run.difficulty || 'normal',
+            adaptive: !!run.adaptive,
+            date: new Date().toISOString(),
+            initials: null
+        };
+        
+        // Ties keep the earlier run ahead, since sort() is stable
+        const board = leaderboardFor(entry);
+        const top = records[board].concat(entry)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, LEADERBOARD_SIZE);
+        
+        const totals = records.totals;
+        this.profile.set('records', {
+            top: board === 'top' ? top : records.top,
+            assistedTop: board === 'assistedTop' ? top : records.assistedTop,
+            tunedTop: board === 'tunedTop' ? top : records.tunedTop,
+            history: [entry, ...records.history].slice(0, RUN_HISTORY_SIZE),
+            totals: {
+                runs: totals.runs + 1,
+                score: totals.score + entry.score,
+                flightMs: totals.flightMs + entry.durationMs,
+                thrusts: totals.thrusts + entry.thrusts
+            }
+        });
+        
+        return { id: entry.id, board: board, rank: top.indexOf(entry) };
+    }
+
+    setInitials(id, initials) {
+        const clean = initials.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+        if (!clean) return null;
+        
+        const records = this.profile.get('records');
+        for (let entry of records.top.concat(records.assistedTop, records.tunedTop, records.history)) {
+            if (entry.id === id) {
+                entry.initials = clean;
+            }
+        }
+        this.profile.set('records', records);
+        return clean;
+    }
+
+    // Totals cover every run ever recorded, not just the retained history
+    getStats() {
+        const totals = this.profile.get('records').totals;
+        return {
+            runs: totals.runs,
+            averageScore: totals.runs ? totals.score / totals.runs : 0,
+            flightMs: totals.flightMs,
+            thrusts: totals.thrusts
+        };
+    }
+}
@@ -0,0 +1,55 @@
+// Flappy Rocket — Nebula Edition
+// Service worker cache version: a hash of every precached file, so any asset
+// change gives sw.js new bytes and browsers install the update.
+//
+//   node scripts/cache-version.js          prints the expected version
+//   node scripts/cache-version.js --write  rewrites CACHE_VERSION in sw.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SW_PATH = path.join(ROOT, 'sw.js');
+const VERSION_PATTERN = /^const CACHE_VERSION = '([^']*)';$/m;
+
+// The URL lists as written in sw.js
+function readUrlList(source, name) {
+    const match = source.match(new RegExp(`const ${name} = \\[([\\s\\S]*?)\\]`));
+    if (!match) throw new Error(`${name} not found in sw.js`);
+    return Array.from(match[1].matchAll(/'([^']+)'/g), m => m[1]);
+}
+
+// './' is served from index.html, and network-first files refresh themselves
+function hashedFiles(source) {
+    const networkFirst = readUrlList(source, 'NETWORK_FIRST_URLS');
+    return readUrlList(source, 'PRECACHE_URLS')
+        .filter(url => url !== './' && !networkFirst.includes(url))
+        .map(url => path.join(ROOT, url));
+}
+
+function expectedVersion(source = fs.readFileSync(SW_PATH, 'utf8')) {
+    const hash = crypto.createHash('sha256');
+    for (let file of hashedFiles(source)) {
+        hash.update(path.relative(ROOT, file));
+        hash.update(fs.readFileSync(file));
+    }
+    return hash.digest('hex').slice(0, 12);
+}
+
+function currentVersion(source = fs.readFileSync(SW_PATH, 'utf8')) {
+    const match = source.match(VERSION_PATTERN);
+    if (!match) throw new Error('CACHE_VERSION not found in sw.js');
+    return match[1];
+}
+
+if (require.main === module) {
+    const source = fs.readFileSync(SW_PATH, 'utf8');
+    const version = expectedVersion(source);
+    if (process.argv.includes('--write')) {
+        fs.writeFileSync(SW_PATH, source.replace(VERSION_PATTERN, `const CACHE_VERSION = '${version}';`));
+    }
+    console.log(version);
+}
+
+module.exports = { expectedVersion, currentVersion };
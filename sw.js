@@ -0,0 +1,105 @@
+// Flappy Rocket — Nebula Edition
+// Service worker: precaches the game under a versioned cache so it plays
+// offline, and waits for the page's go-ahead before replacing an older version
+
+// Content hash of the precached files, rewritten by `npm run cache-version`
+// (npm test fails while it is stale); the changed file is what makes browsers
+// install the update
+const CACHE_VERSION = 'ea5bec8a7b47';
+const CACHE_PREFIX = 'flappy-rocket-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './style.css',
+    './engine.js',
+    './profile.js',
+    './records.js',
+    './achievements.js',
+    './audio.js',
+    './input.js',
+    './difficulty.js',
+    './cosmetics.js',
+    './quality.js',
+    './particles.js',
+    './debug.js',
+    './courses.js',
+    './editor.js',
+    './campaigns.js',
+    './campaigns.json',
+    './app.js'
+];
+
+// Edited between releases, so the network copy wins and the cache is the offline fallback
+const NETWORK_FIRST_URLS = ['./campaigns.json'].map(url => new URL(url, self.location).href);
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+// Old versions are dropped once this one takes over
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page sends this when the player accepts the update prompt
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Page loads may carry query params (e.g. presets), so match the shell without them
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('./index.html', { cacheName: CACHE_NAME })
+                .then(response => response || fetch(request))
+        );
+        return;
+    }
+
+    if (NETWORK_FIRST_URLS.includes(request.url.split('?')[0])) {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true })
+                    .then(cached => cached || Response.error()))
+        );
+        return;
+    }
+
+    // Cache first; anything not precached (e.g. banner images) is stored on first fetch
+    event.respondWith(
+        caches.match(request, { cacheName: CACHE_NAME }).then(cached => {
+            if (cached) return cached;
+            
+            return fetch(request).then(response => {
+                if (response.ok && response.type === 'basic') {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            });
+        })
+    );
+});
@@ -0,0 +1,93 @@
+// Rocket hull against column lips, the forgiveness margin and orbiter boulders
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine, ellipseIntersectsPolygon, ellipseHalfHeight, rectPolygon } = require('../engine.js');
+
+const TILT = 0.6; // radians, nose up enough that the hull's lowest point is off-axis
+
+// A wide slab whose lip (bottom edge) sits at y = 100
+const slab = rectPolygon(0, 0, 400, 100);
+
+function hullAt(y, rotation = TILT) {
+    return { x: 200, y: y, rx: 18, ry: 8, rotation: rotation };
+}
+
+// An engine holding one column with a clean, straight-edged outline
+function engineWithColumn(type, forgiveness) {
+    const engine = new GameEngine({ seed: 7, clock: { now: () => 0 }, config: { collisionForgiveness: forgiveness } });
+    const obstacle = engine.createObstacle(type, 300, 200, 200);
+    for (let profile of [obstacle.profile.top, obstacle.profile.bottom]) {
+        profile.edge.fill(0);
+        profile.depth.fill(0);
+    }
+    engine.obstacles = [obstacle];
+
+    const ship = engine.spaceship;
+    ship.x = obstacle.x + obstacle.width / 2;
+    ship.rotation = TILT;
+    return { engine, obstacle, ship };
+}
+
+test('a rotated hull grazing a lip misses and one overlapping by 1px hits', () => {
+    const reach = ellipseHalfHeight(hullAt(0));
+    assert.equal(ellipseIntersectsPolygon(hullAt(100 + reach + 0.01), slab), false);
+    assert.equal(ellipseIntersectsPolygon(hullAt(100 + reach - 1), slab), true);
+});
+
+test('the rotated hull reaches further than the level one', () => {
+    const level = ellipseHalfHeight(hullAt(0, 0));
+    const tilted = ellipseHalfHeight(hullAt(0));
+    assert.ok(tilted > level);
+    // Clears the lip when level, clips it once tilted
+    assert.equal(ellipseIntersectsPolygon(hullAt(100 + level + 1, 0), slab), false);
+    assert.equal(ellipseIntersectsPolygon(hullAt(100 + level + 1), slab), true);
+});
+
+test('checkCollisions reports a column lip only once the hull overlaps it', () => {
+    const { engine, obstacle, ship } = engineWithColumn('static', 0);
+    const reach = ellipseHalfHeight(engine.getRocketHull());
+
+    ship.y = obstacle.topHeight + reach + 0.01;
+    assert.equal(engine.checkCollisions(), false);
+    ship.y = obstacle.topHeight + reach - 1;
+    assert.equal(engine.checkCollisions(), 'obstacle');
+
+    ship.y = obstacle.bottomY - reach - 0.01;
+    assert.equal(engine.checkCollisions(), false);
+    ship.y = obstacle.bottomY - reach + 1;
+    assert.equal(engine.checkCollisions(), 'obstacle');
+});
+
+test('collisionForgiveness turns a near-touch into a miss', () => {
+    const strict = engineWithColumn('static', 0);
+    const forgiving = engineWithColumn('static', 2);
+    const y = strict.obstacle.topHeight + ellipseHalfHeight(strict.engine.getRocketHull()) - 1;
+
+    strict.ship.y = y;
+    forgiving.ship.y = y;
+    assert.equal(strict.engine.checkCollisions(), 'obstacle');
+    assert.equal(forgiving.engine.checkCollisions(), false);
+});
+
+test('orbiter boulders collide inside the gap', () => {
+    const { engine, obstacle, ship } = engineWithColumn('orbiter', 2);
+    assert.ok(obstacle.orbit);
+
+    // Boulder parked straight below the gap centre
+    obstacle.orbit.angle = Math.PI / 2;
+    const boulder = engine.getOrbiterPosition(obstacle);
+
+    ship.x = boulder.x;
+    ship.y = boulder.y;
+    assert.equal(engine.checkCollisions(), 'obstacle');
+
+    // The gap centre is clear of the boulder
+    ship.y = obstacle.topHeight + obstacle.gapHeight / 2 - 20;
+    assert.equal(engine.checkCollisions(), false);
+
+    // Only the boulder was in the way
+    ship.y = boulder.y;
+    obstacle.orbit = null;
+    assert.equal(engine.checkCollisions(), false);
+});
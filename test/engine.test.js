@@ -0,0 +1,67 @@
+// Headless GameEngine runs: the same seed and input must give the same run
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine, RunRecorder, ReplayPlayer } = require('../engine.js');
+
+// Thrusts on a fixed rhythm until the rocket crashes or the tick budget runs out
+function fly(seed, thrustEvery, maxTicks = 5000) {
+    const engine = new GameEngine({ seed: seed, clock: { now: () => 0 } });
+    while (engine.running && engine.tick < maxTicks) {
+        engine.step({ thrust: engine.tick % thrustEvery === 0 });
+    }
+    return engine;
+}
+
+// A crude autopilot that aims for the middle of the next gap, so runs last long enough to score
+function autopilot(engine) {
+    const ship = engine.spaceship;
+    const next = engine.obstacles.find(obstacle => obstacle.x + obstacle.width > ship.x - 20);
+    const target = next ? next.topHeight + next.gapHeight / 2 : engine.height / 2;
+    return { thrust: ship.y > target + 10 && ship.vy > 0 };
+}
+
+test('a seeded run with the same input replays exactly', () => {
+    const runs = [fly(1234, 18), fly(1234, 18)];
+    assert.equal(runs[0].tick, runs[1].tick);
+    assert.equal(runs[0].score, runs[1].score);
+    assert.equal(runs[0].crashed, runs[1].crashed);
+    assert.equal(runs[0].spaceship.y, runs[1].spaceship.y);
+});
+
+test('a steered run scores and crashes deterministically', () => {
+    const results = [];
+    for (let i = 0; i < 2; i++) {
+        const engine = new GameEngine({ seed: 42, clock: { now: () => 0 } });
+        while (engine.running && engine.tick < 20000) {
+            engine.step(autopilot(engine));
+        }
+        results.push({ tick: engine.tick, score: engine.score, crashed: engine.crashed, passed: engine.obstaclesPassed });
+    }
+    assert.ok(results[0].score > 0, 'the autopilot should pass some obstacles');
+    assert.deepEqual(results[0], results[1]);
+});
+
+test('different seeds lay out different courses', () => {
+    const a = new GameEngine({ seed: 1 });
+    const b = new GameEngine({ seed: 2 });
+    a.step();
+    b.step();
+    assert.notEqual(a.obstacles[0].topHeight, b.obstacles[0].topHeight);
+});
+
+test('a recorded run re-simulates to the same score and length', () => {
+    const engine = new GameEngine({ seed: 7, clock: { now: () => 0 } });
+    const recorder = new RunRecorder(engine);
+    recorder.start();
+    while (engine.running && engine.tick < 20000) {
+        engine.step(autopilot(engine));
+    }
+    const run = recorder.finish();
+
+    const replay = new ReplayPlayer(run);
+    replay.seek(run.ticks);
+    assert.equal(replay.tick, run.ticks);
+    assert.equal(replay.engine.score, run.score);
+    assert.equal(replay.engine.crashed, engine.crashed);
+});
@@ -0,0 +1,50 @@
+// Profile migrations, run against an in-memory store
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMemoryStorage } = require('../engine.js');
+
+// profile.js is a browser script, so it runs in a context holding what it needs
+function loadProfileStore() {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'profile.js'), 'utf8');
+    const context = vm.createContext({ console: console, createMemoryStorage: createMemoryStorage });
+    return vm.runInContext(`${source}\n;ProfileStore`, context);
+}
+
+const ProfileStore = loadProfileStore();
+
+function entry(id, score, fields) {
+    return Object.assign({ id: id, score: score, assistSpeed: 1, date: null, initials: null }, fields);
+}
+
+test('7 → 8 moves Casual, Insane and adaptive runs to their own board', () => {
+    const store = new ProfileStore(createMemoryStorage());
+    const profile = JSON.parse(JSON.stringify(store.data));
+    profile.version = 7;
+    delete profile.records.tunedTop;
+    profile.records.top = [
+        entry('casual', 90, { difficulty: 'casual' }),
+        entry('adaptive', 80, { difficulty: 'normal', adaptive: true }),
+        entry('normal', 70, { difficulty: 'normal', adaptive: false }),
+        entry('insane', 60, { difficulty: 'insane' }),
+        entry('legacy', 50, {})
+    ];
+
+    const upgraded = store.upgrade(profile);
+    assert.deepEqual(upgraded.records.top.map(e => e.id), ['normal', 'legacy']);
+    assert.deepEqual(upgraded.records.tunedTop.map(e => e.id), ['casual', 'adaptive', 'insane']);
+});
+
+test('7 → 8 leaves the assisted board alone', () => {
+    const store = new ProfileStore(createMemoryStorage());
+    const profile = JSON.parse(JSON.stringify(store.data));
+    profile.version = 7;
+    profile.records.assistedTop = [entry('slow', 40, { assistSpeed: 0.6, difficulty: 'casual', adaptive: true })];
+
+    const upgraded = store.upgrade(profile);
+    assert.deepEqual(upgraded.records.assistedTop.map(e => e.id), ['slow']);
+    assert.deepEqual(upgraded.records.tunedTop, []);
+});
@@ -0,0 +1,10 @@
+// sw.js must name a cache version matching the files it precaches
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { expectedVersion, currentVersion } = require('../scripts/cache-version.js');
+
+test('CACHE_VERSION matches the precached files', () => {
+    assert.equal(currentVersion(), expectedVersion(),
+        'Assets changed since the last bump; run `npm run cache-version` to update sw.js');
+});